@@ -52,6 +52,7 @@ globalThis.__bundlerPathsOverrides = {
   'pino/file': pinoWebpackAbsolutePath('./pino/pino-file.js'),
   'pino-worker': pinoWebpackAbsolutePath('./pino/pino-worker.js'),
   'pino-pretty': pinoWebpackAbsolutePath('./pino/pino-pretty.js'),
+  'rotating-file-transport': pinoWebpackAbsolutePath('./pino/rotating-file-transport.js'),
 };
 `
                 );
@@ -108,6 +109,7 @@ globalThis.__bundlerPathsOverrides = {
         "pino-file.js",
         "pino-worker.js",
         "pino-pretty.js",
+        "rotating-file-transport.js",
       ];
 
       for (const file of pinoFiles) {
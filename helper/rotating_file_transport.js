@@ -0,0 +1,125 @@
+import fs from "node:fs";
+import path from "node:path";
+import { Writable } from "node:stream";
+import { createStream } from "rotating-file-stream";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the file name generator for a level file.
+ * The active file is `<name>.log`; rotated files are named after the UTC day
+ * they cover, with an index when the size limit rotates them more than once
+ * a day: `<name>-YYYY-MM-DD.log`, `<name>-YYYY-MM-DD.2.log`, ...
+ * Compressed rotated files get a `.gz` extension.
+ *
+ * @param {string} name - Base name of the file (e.g., "info").
+ * @param {boolean} compress - Whether rotated files are gzipped.
+ * @returns {(time: Date|null, index?: number) => string}
+ */
+const createFileNameGenerator = (name, compress) => (time, index) => {
+  if (!time) return `${name}.log`;
+  const date = time.toISOString().split("T")[0]; // Format: YYYY-MM-DD
+  return `${name}-${date}${index > 1 ? `.${index}` : ""}.log${
+    compress ? ".gz" : ""
+  }`;
+};
+
+/**
+ * Removes rotated files older than the retention age.
+ *
+ * @param {string} folder - Folder holding the files.
+ * @param {string} name - Base name of the files (e.g., "info").
+ * @param {number} maxAgeDays - Retention age in days.
+ */
+const pruneExpiredFiles = async (folder, name, maxAgeDays) => {
+  const expiry = Date.now() - maxAgeDays * DAY_MS;
+  const rotatedFilePattern = new RegExp(`^${name}-\\d{4}-\\d{2}-\\d{2}`);
+  try {
+    const files = await fs.promises.readdir(folder);
+    for (const file of files.filter((file) => rotatedFilePattern.test(file))) {
+      const filePath = path.join(folder, file);
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs < expiry) await fs.promises.unlink(filePath);
+    }
+  } catch (error) {
+    console.error(`Error pruning expired log files in ${folder}:`, error);
+  }
+};
+
+/**
+ * Wraps a file stream so it only receives the entries up to a level. Pino
+ * targets only have a minimum level, this gives them a maximum.
+ *
+ * @param {import("stream").Writable} stream - The file stream.
+ * @param {number} maxLevel - Highest level value written.
+ * @returns {import("stream").Writable}
+ */
+const filterMaxLevel = (stream, maxLevel) =>
+  new Writable({
+    write(chunk, encoding, callback) {
+      const level = Number(String(chunk).match(/^\{"level":(\d+)/)?.[1]);
+      if (level > maxLevel) return callback();
+      if (stream.write(chunk, encoding)) return callback();
+      stream.once("drain", callback);
+    },
+    // Closed once the file stream is flushed
+    final(callback) {
+      stream.end(callback);
+    },
+  });
+
+/**
+ * Pino transport writing to a file rotated on date boundaries and size limits.
+ * Runs inside the pino transport worker thread.
+ *
+ * @param {Object} options
+ * @param {string} options.folder - Folder of the log files.
+ * @param {string} options.name - Base name of the log files (e.g., "info").
+ * @param {string} [options.interval="1d"] - Rotation interval (e.g., "1d", "12h").
+ * @param {string} [options.size] - Size limit triggering a rotation (e.g., "10M").
+ * @param {number} [options.maxFiles] - Maximum number of rotated files kept.
+ * @param {number} [options.maxAgeDays] - Maximum age in days of rotated files kept.
+ * @param {boolean} [options.compress=true] - Gzip rotated files.
+ * @param {number} [options.maxLevel] - Highest level value written, entries above it are dropped.
+ * @returns {import("stream").Writable} - The rotating file stream.
+ */
+export default function rotatingFileTransport({
+  folder,
+  name,
+  interval = "1d",
+  size,
+  maxFiles,
+  maxAgeDays,
+  compress = true,
+  maxLevel,
+}) {
+  fs.mkdirSync(folder, { recursive: true });
+
+  // rotating-file-stream rejects options explicitly set to undefined
+  const streamOptions = Object.fromEntries(
+    Object.entries({
+      path: folder,
+      interval: interval || undefined,
+      intervalBoundary: true, // Name rotated files after the interval they cover
+      intervalUTC: true,
+      initialRotation: true, // Rotate a file left over from a previous day on restart
+      size,
+      maxFiles,
+      compress: compress ? "gzip" : undefined,
+      history: `${name}.history`,
+    }).filter(([, value]) => value !== undefined)
+  );
+  const stream = createStream(
+    createFileNameGenerator(name, compress),
+    streamOptions
+  );
+
+  stream.on("error", (error) => {
+    console.error(`Rotating file transport error in ${folder}:`, error);
+  });
+  if (maxAgeDays) {
+    stream.on("rotated", () => pruneExpiredFiles(folder, name, maxAgeDays));
+  }
+
+  return maxLevel === undefined ? stream : filterMaxLevel(stream, maxLevel);
+}
@@ -0,0 +1,101 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import Loggers from "../config/loggers.json" assert { type: "json" };
+import {
+  generateCheckpointKeys,
+  verifyAuditChain,
+} from "../utils/audit_chain_util.js";
+import { LOGS_ROOT } from "../utils/log_files_util.js";
+import { getCategoryLogFiles } from "../utils/transport_config_util.js";
+
+const USAGE = `Usage:
+  node helper/verify_audit_log.js [category] [--verify-key <pem>]
+  node helper/verify_audit_log.js --generate-keys <directory>
+
+Verifies the hash chain of an audited category (default: authentication)
+and reports the first broken link. Exits with 1 when the chain is broken.
+The category files are those declared in config/loggers.json.`;
+
+/**
+ * Command line entry point of the audit chain verification.
+ *
+ * @returns {Promise<number>} - The process exit code.
+ */
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "verify-key": { type: "string" },
+      "generate-keys": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (values["generate-keys"]) {
+    const { signingKeyFile, verifyKeyFile, keyId } = generateCheckpointKeys(
+      values["generate-keys"]
+    );
+    console.log(`Signing key: ${signingKeyFile} (set as audit.signingKeyFile)`);
+    console.log(`Verify key:  ${verifyKeyFile}`);
+    console.log(`Key id:      ${keyId}`);
+    return 0;
+  }
+
+  const [category = "authentication"] = positionals;
+  const files = getCategoryLogFiles(Loggers, category).map((file) => ({
+    ...file,
+    folder: path.resolve(LOGS_ROOT, file.folder),
+  }));
+  if (!files.some(({ folder }) => fs.existsSync(folder))) {
+    console.error(`No log files for category "${category}".`);
+    return 1;
+  }
+  const report = await verifyAuditChain({
+    files,
+    verifyKey:
+      values["verify-key"] &&
+      crypto.createPublicKey(fs.readFileSync(values["verify-key"])),
+  });
+
+  if (!report.valid) {
+    const { file, line, seq, reason } = report.brokenLink;
+    console.error(
+      `Broken link in ${file}:${line}${seq ? ` (seq ${seq})` : ""}: ${reason}`
+    );
+    return 1;
+  }
+  if (!report.entries) {
+    console.log(`No chained entries for category "${category}".`);
+    return 0;
+  }
+  console.log(
+    `Chain intact: ${report.entries} entries (seq ${report.firstSeq} to ${
+      report.lastSeq
+    }), ${report.checkpoints} checkpoints${
+      values["verify-key"]
+        ? " with valid signatures"
+        : " (signatures not checked)"
+    }.`
+  );
+  if (report.firstSeq > 1) {
+    console.log(
+      `Entries before seq ${report.firstSeq} are no longer on disk (retention).`
+    );
+  }
+  return 0;
+};
+
+main()
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error("Audit log verification failed:", error);
+    process.exitCode = 1;
+  });
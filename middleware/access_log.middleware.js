@@ -0,0 +1,106 @@
+import { getAccessLogConfig, loggers } from "../utils/pino_util.js";
+import {
+  DEFAULT_ACCESS_LOGGER,
+  getSlowThresholdMs,
+} from "../utils/access_log_util.js";
+import { formatCodeMessage } from "../utils/log_code_util.js";
+import {
+  getRequestContext,
+  runWithRequestContext,
+} from "../utils/request_context_util.js";
+import { trackRouteLabel } from "../utils/route_label_util.js";
+
+/**
+ * Byte counters of each connection at the end of its previous request, so a
+ * request on a keep-alive connection is only charged its own bytes.
+ * @type {WeakMap<import("net").Socket, {bytesRead: number, bytesWritten: number}>}
+ */
+const socketCounters = new WeakMap();
+
+/**
+ * Helper function to measure the bytes a request used on its connection,
+ * headers included
+ * @param {import("net").Socket} socket
+ * @returns {{requestBytes: number, responseBytes: number}}
+ */
+const readByteCounts = (socket) => {
+  const previous = socketCounters.get(socket) || {
+    bytesRead: 0,
+    bytesWritten: 0,
+  };
+  const current = {
+    bytesRead: socket?.bytesRead || 0,
+    bytesWritten: socket?.bytesWritten || 0,
+  };
+  if (socket) socketCounters.set(socket, current);
+  return {
+    requestBytes: current.bytesRead - previous.bytesRead,
+    responseBytes: current.bytesWritten - previous.bytesWritten,
+  };
+};
+
+/**
+ * Access Log Middleware
+ * Logs one entry per request once its response is completed or aborted,
+ * escalated to `warn` when the request exceeds its slow threshold.
+ * Route data (`res.logger`) is logged to its category by the response
+ * logger; the entry only refers to it by category and code, the request id
+ * of both entries linking them.
+ */
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const getRouteLabel = trackRouteLabel(req);
+  const requestContext = getRequestContext();
+
+  res.once("close", () => {
+    const accessLogConfig = getAccessLogConfig();
+    const logger = loggers[accessLogConfig?.logger || DEFAULT_ACCESS_LOGGER];
+    if (!logger) return;
+
+    const durationMs =
+      Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    const route = getRouteLabel();
+    const thresholdMs = getSlowThresholdMs(accessLogConfig, req.method, route);
+    const slow = thresholdMs !== undefined && durationMs > thresholdMs;
+    const code = slow ? "HTTP_ACCESS_SLOW" : "HTTP_ACCESS";
+
+    const entry = {
+      code,
+      context: "http access",
+      route,
+      status: res.statusCode,
+      durationMs,
+      ...readByteCounts(req.socket),
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      ...(!res.writableFinished && { aborted: true }),
+      ...(slow && {
+        reason: `Request took ${durationMs}ms, over the ${thresholdMs}ms threshold`,
+      }),
+      ...(res.logger && {
+        routeLog: { category: res.logger.category, code: res.logger.code },
+      }),
+    };
+    const message = formatCodeMessage(code, {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs,
+    });
+
+    // Listeners run outside of the request, log with its context
+    const log = () => {
+      try {
+        logger[slow ? "warn" : "info"](entry, message);
+      } catch (error) {
+        console.error("Error logging access entry:", error);
+      }
+    };
+    if (requestContext) runWithRequestContext(requestContext, log);
+    else log();
+  });
+
+  next();
+};
+
+export default accessLog;
@@ -0,0 +1,78 @@
+import crypto from "node:crypto";
+import { AuthError } from "../utils/error_util.js";
+import { logsCategory } from "../utils/pino_util.js";
+
+/**
+ * Environment variable holding the callers allowed to use the admin
+ * endpoints, as comma separated "<name>:<token>" pairs (e.g.,
+ * "ops:3f9c...,oncall:a71b..."). The name identifies the caller in the logs.
+ */
+const ADMIN_TOKENS_ENV = "LOG_ADMIN_TOKENS";
+
+/**
+ * Hashes a token, so tokens of any length compare in constant time.
+ *
+ * @param {string} token
+ * @returns {Buffer}
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest();
+
+/**
+ * Parses the admin tokens of the environment. Read on every request, so
+ * tokens can be rotated without a restart.
+ *
+ * @returns {Array<{name: string, hash: Buffer}>}
+ */
+const getAdminTokens = () =>
+  (process.env[ADMIN_TOKENS_ENV] || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf(":");
+      return {
+        name: pair.slice(0, separator),
+        token: pair.slice(separator + 1),
+      };
+    })
+    .filter(({ name, token }) => name && token)
+    .map(({ name, token }) => ({ name, hash: hashToken(token) }));
+
+/**
+ * Admin Auth Middleware
+ * Requires a bearer token of `LOG_ADMIN_TOKENS` and sets the name of the
+ * caller as `req.adminUser`. The admin endpoints are disabled (not found)
+ * while no token is configured.
+ */
+const adminAuth = (req, res, next) => {
+  const adminTokens = getAdminTokens();
+  if (!adminTokens.length) {
+    return next("router"); // Disabled, as if the router was not mounted
+  }
+
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  const tokenHash = scheme === "Bearer" && token ? hashToken(token) : null;
+  const admin =
+    tokenHash &&
+    adminTokens.find(({ hash }) => crypto.timingSafeEqual(hash, tokenHash));
+  if (admin) {
+    req.adminUser = admin.name;
+    return next();
+  }
+
+  res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+  next(
+    new AuthError({
+      message: "A valid admin token is required",
+      logger: {
+        category: logsCategory.AUTHENTICATION,
+        variant: "warn", // Probing the admin endpoints is worth a warning
+        code: "ADMIN_AUTH_FAILED",
+        context: "admin authentication",
+        reason: tokenHash ? "unknown token" : "no token",
+      },
+    })
+  );
+};
+
+export default adminAuth;
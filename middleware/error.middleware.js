@@ -1,47 +1,72 @@
-import { AxiosError } from "axios";
+import axios, { AxiosError } from "axios";
+import pino from "pino";
+import { CustomError, getErrorDefinition } from "../utils/error_util.js";
 import {
-  ApiError,
-  CustomError,
-  FS_Error,
-  GitError,
-} from "../utils/error_util.js";
-import { loggers, logsCategory } from "../utils/pino_util.js";
+  getErrorLevelsConfig,
+  loggerRegistry,
+  logsCategory,
+} from "../utils/pino_util.js";
+import { sanitizeUrl } from "../utils/redaction_util.js";
+import { resolveErrorLevel } from "../utils/error_level_util.js";
+import {
+  PROBLEM_CONTENT_TYPE,
+  buildProblem,
+  renderProblemHtml,
+  renderProblemText,
+} from "../utils/problem_util.js";
+import { getRequestId } from "../utils/request_context_util.js";
 
 /**
- * Helper function to get the appropriate logger method based on category and warning status
- * @param {string} category
- * @param {boolean} isWarning
- * @returns {Function}
+ * Builds the logger payload of an Axios error thrown without one (e.g., by a
+ * plain axios call), so it is logged at the level of its upstream status.
+ *
+ * @param {AxiosError} err
+ * @returns {Object}
  */
-const getLoggerMethod = (category, isWarning) => {
-  const logCategory = {
-    [logsCategory.SYSTEM]: loggers.systemLogger,
-    [logsCategory.AUTHENTICATION]: loggers.authLogger,
-    [logsCategory.VALIDATION]: loggers.validationLogger,
-    [logsCategory.USAGE]: loggers.usageLogger,
+const getAxiosErrorLogger = (err) => {
+  const method = err.config?.method?.toUpperCase() || "GET";
+  const url = err.config ? sanitizeUrl(axios.getUri(err.config)) : "unknown";
+  return {
+    category: logsCategory.SYSTEM,
+    code: "HTTP_CLIENT_ERROR",
+    context: "outbound http request",
+    params: { method, url },
+    status: err.response?.status,
   };
-
-  const logger = logCategory[category];
-  return isWarning ? logger?.warn : logger?.error;
 };
 
 /**
  * Error Logger Middleware
- * Logs error details if logger property exists in the error object
+ * Logs error details if logger property exists in the error object, at the
+ * level `errorLevels` maps its status to, unless the logger sets a `variant`.
+ * Axios errors without a logger property get a default one.
  */
 const errorLogger = (err, req, res, next) => {
-  if (!err?.logger) {
+  const logger =
+    err?.logger ??
+    (err instanceof AxiosError ? getAxiosErrorLogger(err) : null);
+  if (!logger) {
     return next(err);
   }
 
-  const { logger } = err;
-  const { category, message: loggerMessage, ...loggerData } = logger;
-  const isWarning = err.statusCode === 400;
+  const { category, variant, message: loggerMessage, ...loggerData } = logger;
+  const level =
+    variant ??
+    resolveErrorLevel(getErrorLevelsConfig(), {
+      status: getStatusCode(err),
+      category,
+      error: err,
+    });
 
   const message = loggerMessage || err.message;
-  loggerData.error = JSON.parse(JSON.stringify(err.error || {}));
+  loggerData.error = err.error ?? err; // Serialized by the logger
+  // Warnings and custom levels (e.g., security) may require a reason
+  if (level === "warn" || !Object.hasOwn(pino.levels.values, level)) {
+    loggerData.reason ??= message;
+  }
 
-  const logMethod = getLoggerMethod(category, isWarning);
+  const logMethod =
+    level !== "silent" && loggerRegistry.forCategory(category)?.[level];
   if (logMethod) {
     logMethod(loggerData, message);
   }
@@ -85,19 +110,6 @@ const handleAxiosError = (err) => {
   }
 };
 
-/**
- * Helper function to handle Git errors
- * @param {GitError} err
- */
-const handleGitError = (err) => {
-  console.error("-------- Git Error --------", {
-    log: err.log,
-    path: err.path,
-    command: err.command,
-  });
-  err.statusCode = 500; // Assign custom status code for Git errors
-};
-
 /**
  * Helper function to handle file system errors
  * @param {CustomError} error
@@ -128,7 +140,9 @@ const handleCustomError = (err) => {
 
 /**
  * Error Handler Middleware
- * Handles various error types and sends a structured response
+ * Handles various error types and sends an RFC 7807 problem details response
+ * (`application/problem+json`), or a plain text or HTML rendering of it for
+ * clients that ask for one. Internal messages only go to the logs.
  */
 const errorHandler = (err, req, res, next) => {
   console.log("-------- Error Handler Middleware --------");
@@ -137,26 +151,35 @@ const errorHandler = (err, req, res, next) => {
   // Handle specific error types
   if (err instanceof AxiosError) {
     handleAxiosError(err);
-  } else if (err instanceof FS_Error) {
-    console.error("-------- File System Error --------", { path: err.path });
-  } else if (err instanceof GitError) {
-    handleGitError(err);
   } else if (err instanceof CustomError) {
     handleCustomError(err);
+  } else {
+    // Hook of the registered error type (see `defineErrorType`)
+    getErrorDefinition(err)?.handle?.(err);
   }
 
-  // Set default status and message for error response
+  // Set default status for error response
   const statusCode = getStatusCode(err);
-  const message = err.message || "An unexpected error occurred";
 
-  // Safely access `data` if it exists
-  const data = "data" in err ? err.data : null;
+  loggerRegistry.metrics.recordHttpError(statusCode);
+
+  // The response is already (partly) sent, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const problem = buildProblem(err, {
+    status: statusCode,
+    instance: req.originalUrl,
+    requestId: getRequestId(),
+  });
 
-  res.status(statusCode).json({
-    error: true,
-    message,
-    data,
-    stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
+  res.status(statusCode);
+  res.format({
+    [PROBLEM_CONTENT_TYPE]: () => res.json(problem),
+    "text/html": () => res.send(renderProblemHtml(problem)),
+    "text/plain": () => res.send(renderProblemText(problem)),
+    default: () => res.type(PROBLEM_CONTENT_TYPE).json(problem),
   });
 };
 
@@ -0,0 +1,27 @@
+import { loggerRegistry } from "../utils/pino_util.js";
+import { trackRouteLabel } from "../utils/route_label_util.js";
+
+/**
+ * Request Metrics Middleware
+ * Records the latency of every request once its response is finished
+ */
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const getRouteLabel = trackRouteLabel(req);
+
+  res.once("finish", () => {
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    loggerRegistry.metrics.recordRequestDuration(
+      {
+        method: req.method,
+        route: getRouteLabel(),
+        status: res.statusCode,
+      },
+      durationSeconds
+    );
+  });
+
+  next();
+};
+
+export default requestMetrics;
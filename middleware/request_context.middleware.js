@@ -0,0 +1,27 @@
+import {
+  REQUEST_ID_HEADER,
+  resolveRequestId,
+  runWithRequestContext,
+} from "../utils/request_context_util.js";
+
+/**
+ * Request Context Middleware
+ * Assigns (or accepts) a correlation id for the request, echoes it in the
+ * response headers and runs the rest of the chain inside the request context,
+ * so every logger entry of this request carries the same `requestId`.
+ */
+const requestContext = (req, res, next) => {
+  const requestId = resolveRequestId(
+    req.headers[REQUEST_ID_HEADER.toLowerCase()]
+  );
+
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  runWithRequestContext(
+    { requestId, method: req.method, path: req.originalUrl },
+    () => next()
+  );
+};
+
+export default requestContext;
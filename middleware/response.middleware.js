@@ -1,51 +1,53 @@
-import { loggers, logsCategory } from "../utils/pino_util.js";
-
-/**
- * Helper function to get the appropriate logger method based on category
- * @param {string} category
- * @param {boolean} isWarning
- * @returns {Function}
- */
-const getResponseLoggerInfoMethod = (category) => {
-  const logCategory = {
-    [logsCategory.SYSTEM]: loggers.systemLogger,
-    [logsCategory.AUTHENTICATION]: loggers.authLogger,
-    [logsCategory.VALIDATION]: loggers.validationLogger,
-    [logsCategory.USAGE]: loggers.usageLogger,
-  };
-
-  const logger = logCategory[category];
-  return logger?.info;
-};
+import { loggerRegistry } from "../utils/pino_util.js";
+import {
+  getRequestContext,
+  runWithRequestContext,
+} from "../utils/request_context_util.js";
 
 /**
  * Response Logger Middleware
- * Logs response details if logger property exists in the response object
+ * Logs response details if logger property exists in the response object.
+ * The entry is written once the response is completed, whatever sent it
+ * (`res.send`, `res.json`, `res.sendFile`, `res.redirect`, `res.end` or a
+ * piped stream), or once the connection is aborted before that.
  */
 const responseLogger = (req, res, next) => {
-  // Intercept the response once it's finished
-  const originalSend = res.send;
-
-  res.send = function (body) {
-    if (res?.logger) {
-      const { logger } = res;
-      const { category, message: loggerMessage, ...loggerData } = logger;
-
-      const message =
-        loggerMessage || `Response logged for status: ${res.statusCode}`;
-
-      const logMethod = getResponseLoggerInfoMethod(category);
-      if (logMethod) {
-        logMethod(loggerData, message);
+  const requestContext = getRequestContext();
+
+  // `close` is emitted exactly once, after `finish` or on an aborted connection
+  res.once("close", () => {
+    if (!res?.logger) return;
+
+    const { logger } = res;
+    const { category, message: loggerMessage, ...loggerData } = logger;
+    const aborted = !res.writableFinished;
+
+    const message =
+      loggerMessage ||
+      (aborted
+        ? `Response aborted with status: ${res.statusCode}`
+        : `Response logged for status: ${res.statusCode}`);
+
+    // Listeners run outside of the request, log with its context
+    const log = () => {
+      try {
+        // Unknown categories are reported with the request's context too
+        const logMethod = loggerRegistry.forCategory(category)?.info;
+        logMethod?.(
+          {
+            ...loggerData,
+            status: res.statusCode,
+            ...(aborted && { aborted: true }),
+          },
+          message
+        );
+      } catch (error) {
+        console.error("Error logging response entry:", error);
       }
-
-      // Clear logger to prevent re-logging
-      res.logger = null;
-    }
-
-    // Proceed with the original `res.send` call
-    return originalSend.call(this, body);
-  };
+    };
+    if (requestContext) runWithRequestContext(requestContext, log);
+    else log();
+  });
 
   next();
 };
@@ -0,0 +1,75 @@
+import express from "express";
+import {
+  getLoggerLevel,
+  listLoggerLevels,
+  setCategoryLevel,
+  setLoggerLevel,
+} from "../utils/log_level_util.js";
+import { parseLogQuery, queryLogs } from "../utils/log_query_util.js";
+import adminAuth from "../middleware/admin_auth.middleware.js";
+
+/**
+ * Admin router
+ * Runtime control endpoints for the logging utility, mounted under `/admin`.
+ * Only callers with an admin token get through (see `adminAuth`).
+ */
+const adminRouter = express.Router();
+
+adminRouter.use(adminAuth);
+adminRouter.use(express.json());
+
+// List the levels of every live logger
+adminRouter.get("/loggers", (req, res) => {
+  res.json(listLoggerLevels());
+});
+
+// Get the level of a single logger
+adminRouter.get("/loggers/:key/level", (req, res, next) => {
+  try {
+    res.json(getLoggerLevel(req.params.key));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the level of a single logger, body: { level, ttlSeconds? }
+adminRouter.put("/loggers/:key/level", (req, res, next) => {
+  try {
+    const { level, ttlSeconds } = req.body || {};
+    res.json(
+      setLoggerLevel(req.params.key, level, {
+        ttlSeconds,
+        changedBy: req.adminUser,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the level of every logger of a category, body: { level, ttlSeconds? }
+adminRouter.put("/categories/:category/level", (req, res, next) => {
+  try {
+    const { level, ttlSeconds } = req.body || {};
+    res.json(
+      setCategoryLevel(req.params.category, level, {
+        ttlSeconds,
+        changedBy: req.adminUser,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Search the on-disk log files,
+// query: category, level, from, to, code, requestId, q, limit, cursor
+adminRouter.get("/logs", async (req, res, next) => {
+  try {
+    res.json(await queryLogs(parseLogQuery(req.query)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default adminRouter;
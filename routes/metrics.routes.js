@@ -0,0 +1,14 @@
+import express from "express";
+import { loggerRegistry } from "../utils/pino_util.js";
+
+/**
+ * Metrics router
+ * Exposes the logging and HTTP metrics in the Prometheus text format.
+ */
+const metricsRouter = express.Router();
+
+metricsRouter.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(loggerRegistry.metrics.render());
+});
+
+export default metricsRouter;
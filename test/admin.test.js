@@ -0,0 +1,278 @@
+import "./helpers/setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { after, before, beforeEach, describe, test } from "node:test";
+import Loggers from "../config/loggers.json" assert { type: "json" };
+import app from "../app.js";
+import { LOGS_ROOT, closeLoggers, loggerRegistry } from "../utils/pino_util.js";
+import {
+  captureLogs,
+  clearLogs,
+  expectLogged,
+} from "../utils/log_capture_util.js";
+import { request } from "./helpers/request.js";
+
+process.env.LOG_ADMIN_TOKENS = "ops:ops-token,ci:ci-token";
+
+const adminHeaders = { Authorization: "Bearer ops-token" };
+
+beforeEach(clearLogs);
+after(closeLoggers);
+
+describe("adminAuth", () => {
+  test("hides the admin endpoints while no token is configured", async () => {
+    const tokens = process.env.LOG_ADMIN_TOKENS;
+    delete process.env.LOG_ADMIN_TOKENS;
+    try {
+      const response = await request(app, "/admin/loggers", {
+        headers: adminHeaders,
+      });
+      assert.equal(response.status, 404);
+    } finally {
+      process.env.LOG_ADMIN_TOKENS = tokens;
+    }
+  });
+
+  test("rejects a request without a token", async () => {
+    let response;
+    const logs = await captureLogs(async () => {
+      response = await request(app, "/admin/loggers");
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(
+      response.headers.get("www-authenticate"),
+      'Bearer realm="admin"'
+    );
+    expectLogged(
+      {
+        logger: "authLogger",
+        level: "warn",
+        code: "ADMIN_AUTH_FAILED",
+        fields: { reason: "no token" },
+      },
+      logs
+    );
+  });
+
+  test("rejects an unknown token", async () => {
+    const response = await request(app, "/admin/loggers", {
+      headers: { Authorization: "Bearer ops-token-2" },
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, "ADMIN_AUTH_FAILED");
+  });
+
+  test("accepts each configured token", async () => {
+    for (const token of ["ops-token", "ci-token"]) {
+      const response = await request(app, "/admin/loggers", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(response.status, 200);
+    }
+  });
+});
+
+describe("PUT /admin/loggers/:key/level", () => {
+  after(() =>
+    request(app, "/admin/loggers/authLogger/level", {
+      method: "PUT",
+      headers: adminHeaders,
+      body: { level: loggerRegistry.getLoggerConfiguredLevel("authLogger") },
+    })
+  );
+
+  test("is not available to anonymous callers", async () => {
+    const response = await request(app, "/admin/loggers/authLogger/level", {
+      method: "PUT",
+      body: { level: "silent" },
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(
+      loggerRegistry.get("authLogger").level,
+      loggerRegistry.getLoggerConfiguredLevel("authLogger")
+    );
+  });
+
+  test("logs the change with the caller's identity", async () => {
+    const logs = await captureLogs(async () => {
+      const response = await request(app, "/admin/loggers/authLogger/level", {
+        method: "PUT",
+        headers: adminHeaders,
+        body: { level: "silent" },
+      });
+      assert.equal(response.status, 200);
+    });
+
+    expectLogged(
+      {
+        logger: "systemLogger",
+        code: "LOGGER_LEVEL_CHANGED",
+        fields: { loggerKey: "authLogger", changedBy: "ops" },
+      },
+      logs
+    );
+  });
+
+  test("keeps the override when a reload rebuilds the logger", async () => {
+    await request(app, "/admin/loggers/authLogger/level", {
+      method: "PUT",
+      headers: adminHeaders,
+      body: { level: "trace", ttlSeconds: 600 },
+    });
+    try {
+      loggerRegistry.reload({
+        ...Loggers,
+        loggers: {
+          ...Loggers.loggers,
+          authLogger: {
+            ...Loggers.loggers.authLogger,
+            redactPatterns: ["licenseKey", "apiKey"],
+          },
+        },
+      });
+
+      const response = await request(app, "/admin/loggers/authLogger/level", {
+        headers: adminHeaders,
+      });
+      assert.equal(loggerRegistry.get("authLogger").level, "trace");
+      assert.equal(response.body.level, "trace");
+      assert.ok(response.body.revertAt);
+    } finally {
+      loggerRegistry.reload(Loggers);
+    }
+  });
+});
+
+describe("GET /admin/logs", () => {
+  const category = `query-test-${process.pid}`;
+  const writeEntries = (file, codes, compress = false) => {
+    const content = codes
+      .map((code) => JSON.stringify({ level: 30, code, msg: code }))
+      .join("\n");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      compress ? zlib.gzipSync(`${content}\n`) : `${content}\n`
+    );
+  };
+  const queryLogs = (query) =>
+    request(app, `/admin/logs?${new URLSearchParams(query)}`, {
+      headers: adminHeaders,
+    });
+
+  before(() => {
+    loggerRegistry.reload({
+      ...Loggers,
+      loggers: {
+        ...Loggers.loggers,
+        queryLogger: { ...Loggers.loggers.usageLogger, category },
+      },
+    });
+    const [{ folder, name }] = loggerRegistry.getLogFiles(category);
+    const logFolder = path.join(LOGS_ROOT, folder);
+    writeEntries(
+      path.join(logFolder, `${name}-2026-01-01.log.gz`),
+      ["QUERY_1", "QUERY_2"],
+      true
+    );
+    writeEntries(path.join(logFolder, `${name}-2026-01-02.log`), ["QUERY_3"]);
+    writeEntries(path.join(logFolder, `${name}.log`), ["QUERY_4", "QUERY_5"]);
+  });
+
+  after(() => {
+    fs.rmSync(path.join(LOGS_ROOT, category), { recursive: true, force: true });
+    loggerRegistry.reload(Loggers);
+  });
+
+  test("pages through rotated, compressed and active files", async () => {
+    const codes = [];
+    let cursor;
+    do {
+      const response = await queryLogs({
+        category,
+        limit: "2",
+        ...(cursor && { cursor }),
+      });
+      assert.equal(response.status, 200);
+      assert.ok(response.body.entries.length <= 2);
+      codes.push(...response.body.entries.map(({ code }) => code));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(codes, [
+      "QUERY_1",
+      "QUERY_2",
+      "QUERY_3",
+      "QUERY_4",
+      "QUERY_5",
+    ]);
+  });
+
+  test("resumes from the middle of a file", async () => {
+    const first = await queryLogs({ category, limit: "4" });
+    const second = await queryLogs({
+      category,
+      cursor: first.body.nextCursor,
+    });
+
+    assert.deepEqual(
+      second.body.entries.map(({ code }) => code),
+      ["QUERY_5"]
+    );
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  test("resumes in the file the active file was rotated to", async () => {
+    const [{ folder, name }] = loggerRegistry.getLogFiles(category);
+    const logFolder = path.join(LOGS_ROOT, folder);
+    const activeFile = path.join(logFolder, `${name}.log`);
+
+    for (const compress of [false, true]) {
+      const first = await queryLogs({ category, limit: "4" });
+      const rotatedFile = path.join(
+        logFolder,
+        `${name}-2026-01-03.log${compress ? ".gz" : ""}`
+      );
+      writeEntries(rotatedFile, ["QUERY_4", "QUERY_5"], compress);
+      writeEntries(activeFile, ["QUERY_6"]);
+      try {
+        const second = await queryLogs({
+          category,
+          cursor: first.body.nextCursor,
+        });
+
+        assert.deepEqual(
+          second.body.entries.map(({ code }) => code),
+          ["QUERY_5", "QUERY_6"]
+        );
+      } finally {
+        fs.rmSync(rotatedFile);
+        writeEntries(activeFile, ["QUERY_4", "QUERY_5"]);
+      }
+    }
+  });
+
+  test("counts the entries whose time cannot be parsed", async () => {
+    const response = await queryLogs({ category, from: "2026-01-01" });
+
+    assert.deepEqual(response.body.entries, []);
+    assert.equal(response.body.undatedEntries, 5);
+  });
+
+  test("rejects a malformed cursor", async () => {
+    const logs = await captureLogs(async () => {
+      const response = await queryLogs({ category, cursor: "not-a-cursor" });
+      assert.equal(response.status, 400);
+    });
+
+    expectLogged(
+      { logger: "systemLogger", level: "warn", code: "LOG_QUERY_INVALID" },
+      logs
+    );
+  });
+});
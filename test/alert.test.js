@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { after, before, describe, test } from "node:test";
+import {
+  createAlertManager,
+  validateAlertingConfig,
+} from "../utils/alert_util.js";
+
+describe("createAlertManager", () => {
+  let server;
+  let webhookUrl;
+  let requests = 0;
+  let tmpDir;
+
+  before(async () => {
+    // A webhook that is always down
+    server = http.createServer((req, res) => {
+      requests += 1;
+      req.resume();
+      res.writeHead(503).end();
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    webhookUrl = `http://127.0.0.1:${server.address().port}/alerts`;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("dead-letters the batches at stop instead of retrying", async () => {
+    const deadLetterFile = path.join(tmpDir, "dead-letter.ndjson");
+    const failures = [];
+    const alertManager = createAlertManager(
+      {
+        webhookUrl,
+        maxRetries: 5,
+        retryBaseDelayMs: 1000,
+        deadLetterFile,
+        rules: [{ name: "errors", level: "error", cooldownSeconds: 0 }],
+      },
+      {
+        onDeliveryFailure: (error, attempts) => failures.push(attempts),
+      }
+    );
+    const observeError = (code) =>
+      alertManager.observe({
+        loggerKey: "systemLogger",
+        category: "system",
+        level: "error",
+        entry: { code },
+      });
+
+    observeError("FIRST_FAILURE");
+    alertManager.flush(); // Fails, then waits for its first retry
+    while (requests < 1) await new Promise(setImmediate);
+    observeError("SECOND_FAILURE"); // Pending until stop
+
+    const startedAt = Date.now();
+    await alertManager.stop();
+
+    assert.ok(Date.now() - startedAt < 1000, "stop waited for a retry");
+    assert.deepEqual(failures, [1, 1]);
+    const batches = fs
+      .readFileSync(deadLetterFile, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      batches.map(({ alerts }) => alerts[0].samples[0].code),
+      ["FIRST_FAILURE", "SECOND_FAILURE"]
+    );
+  });
+
+  test("identifies the application with the configured source", async () => {
+    const deadLetterFile = path.join(tmpDir, "source.ndjson");
+    const alertManager = createAlertManager({
+      webhookUrl,
+      source: "billing-api",
+      maxRetries: 0,
+      deadLetterFile,
+      rules: [{ name: "errors", level: "error" }],
+    });
+    alertManager.observe({
+      loggerKey: "systemLogger",
+      category: "system",
+      level: "error",
+      entry: { code: "FAILURE" },
+    });
+    await alertManager.stop();
+
+    assert.equal(
+      JSON.parse(fs.readFileSync(deadLetterFile, "utf8")).source,
+      "billing-api"
+    );
+  });
+});
+
+describe("validateAlertingConfig", () => {
+  test("rejects a zero batch interval or timeout", () => {
+    assert.throws(
+      () => validateAlertingConfig({ batchIntervalSeconds: 0 }),
+      /alerting\.batchIntervalSeconds must be a positive number/
+    );
+    assert.throws(
+      () => validateAlertingConfig({ timeoutMs: 0 }),
+      /alerting\.timeoutMs must be a positive number/
+    );
+  });
+
+  test("accepts no retries", () => {
+    assert.doesNotThrow(() =>
+      validateAlertingConfig({ maxRetries: 0, retryBaseDelayMs: 0 })
+    );
+  });
+
+  test("rejects an empty source", () => {
+    assert.throws(
+      () => validateAlertingConfig({ source: "" }),
+      /alerting\.source must be a non-empty string/
+    );
+  });
+});
@@ -0,0 +1,188 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import {
+  AUDIT_CHECKPOINT_CODE,
+  createAuditChain,
+  generateCheckpointKeys,
+  loadCheckpointSigner,
+  verifyAuditChain,
+} from "../utils/audit_chain_util.js";
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-chain-"));
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Describes the files of a category in a fresh folder: an info file and an
+ * error file, like the default transports.
+ */
+const createChainFiles = (name) => {
+  const root = path.join(tmpDir, name);
+  const files = [
+    {
+      folder: path.join(root, "info"),
+      name: "info",
+      minLevel: 30,
+      maxLevel: 30,
+    },
+    { folder: path.join(root, "errors"), name: "error", minLevel: 50 },
+  ];
+  files.forEach(({ folder }) => fs.mkdirSync(folder, { recursive: true }));
+  return files;
+};
+
+const getFilePath = ({ folder, name }) => path.join(folder, `${name}.log`);
+
+/**
+ * Seals entries like the logger of the category and appends them to the
+ * files receiving their level.
+ */
+const writeEntries = (files, entries, chain = createAuditChain({ files })) => {
+  entries.forEach((entry) => {
+    const line = chain.seal(`${JSON.stringify(entry)}\n`);
+    files
+      .filter(
+        ({ minLevel, maxLevel = Infinity }) =>
+          entry.level >= minLevel && entry.level <= maxLevel
+      )
+      .forEach((file) => fs.appendFileSync(getFilePath(file), line));
+  });
+  return chain;
+};
+
+const editLines = (file, edit) => {
+  const lines = fs.readFileSync(getFilePath(file), "utf8").split("\n");
+  fs.writeFileSync(getFilePath(file), edit(lines).join("\n"));
+};
+
+const entries = [
+  { level: 30, code: "AUTH_LOGIN", msg: "Login" },
+  { level: 50, code: "AUTH_ERROR", msg: "Failure" },
+  { level: 30, code: "AUTH_LOGIN", msg: "Login" },
+  { level: 30, code: "AUTH_LOGOUT", msg: "Logout" },
+];
+
+describe("verifyAuditChain", () => {
+  test("accepts an intact chain", async () => {
+    const files = createChainFiles("intact");
+    writeEntries(files, entries);
+
+    const report = await verifyAuditChain({ files });
+
+    assert.equal(report.valid, true);
+    assert.equal(report.entries, 4);
+    assert.equal(report.firstSeq, 1);
+    assert.equal(report.lastSeq, 4);
+  });
+
+  test("continues the chain of the files after a restart", async () => {
+    const files = createChainFiles("restart");
+    writeEntries(files, entries);
+    const chain = writeEntries(files, entries, createAuditChain({ files }));
+
+    assert.equal(chain.getHead().seq, 8);
+    assert.equal((await verifyAuditChain({ files })).valid, true);
+  });
+
+  test("detects a modified entry", async () => {
+    const files = createChainFiles("modified");
+    writeEntries(files, entries);
+    editLines(files[0], (lines) =>
+      lines.map((line, index) =>
+        index === 1 ? line.replace('"Login"', '"Logged in"') : line
+      )
+    );
+
+    const { valid, brokenLink } = await verifyAuditChain({ files });
+
+    assert.equal(valid, false);
+    assert.equal(brokenLink.line, 2);
+    assert.equal(brokenLink.seq, 3);
+    assert.match(brokenLink.reason, /^Entry was modified/);
+  });
+
+  test("detects a removed entry", async () => {
+    const files = createChainFiles("removed");
+    writeEntries(files, entries);
+    editLines(files[0], (lines) => lines.filter((_line, index) => index !== 1));
+
+    const { valid, brokenLink } = await verifyAuditChain({ files });
+
+    assert.equal(valid, false);
+    assert.equal(brokenLink.seq, 4);
+    assert.equal(brokenLink.reason, "Expected sequence number 3");
+  });
+
+  test("detects reordered entries", async () => {
+    const files = createChainFiles("reordered");
+    writeEntries(files, entries);
+    editLines(files[0], ([first, second, ...rest]) => [second, first, ...rest]);
+
+    const { valid, brokenLink } = await verifyAuditChain({ files });
+
+    assert.equal(valid, false);
+    assert.equal(brokenLink.line, 2);
+    assert.equal(brokenLink.reason, "Expected a sequence number above 3");
+  });
+
+  test("detects an entry written to a file not receiving its level", async () => {
+    const files = createChainFiles("misplaced");
+    writeEntries(files, entries);
+    const [infoLine] = fs
+      .readFileSync(getFilePath(files[0]), "utf8")
+      .split("\n");
+    editLines(files[1], (lines) => [infoLine, ...lines]);
+
+    const { valid, brokenLink } = await verifyAuditChain({ files });
+
+    assert.equal(valid, false);
+    assert.equal(brokenLink.seq, 1);
+    assert.equal(brokenLink.reason, "Entry level is not written to this file");
+  });
+
+  test("verifies the signature of checkpoints", async () => {
+    const files = createChainFiles("checkpoints");
+    const { signingKeyFile, verifyKeyFile } = generateCheckpointKeys(
+      path.join(tmpDir, "keys")
+    );
+    const signer = loadCheckpointSigner(signingKeyFile);
+    const chain = writeEntries(files, entries);
+    const head = chain.getHead();
+    writeEntries(
+      files,
+      [
+        {
+          level: 30,
+          code: AUDIT_CHECKPOINT_CODE,
+          checkpoint: {
+            ...head,
+            keyId: signer.keyId,
+            signature: signer.sign(head),
+          },
+        },
+      ],
+      chain
+    );
+    const verifyKey = crypto.createPublicKey(fs.readFileSync(verifyKeyFile));
+
+    const report = await verifyAuditChain({ files, verifyKey });
+    assert.equal(report.valid, true);
+    assert.equal(report.checkpoints, 1);
+
+    const otherKey = crypto.generateKeyPairSync("ed25519").publicKey;
+    const { valid, brokenLink } = await verifyAuditChain({
+      files,
+      verifyKey: otherKey,
+    });
+    assert.equal(valid, false);
+    assert.equal(brokenLink.reason, "Invalid checkpoint signature");
+  });
+});
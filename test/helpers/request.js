@@ -0,0 +1,47 @@
+import { once } from "node:events";
+
+/**
+ * Sends a single request to an Express app listening on an ephemeral port,
+ * closing the server once the response is read.
+ *
+ * @param {import("express").Express} app
+ * @param {string} path - The request path, with its query string.
+ * @param {Object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {Object} [options.headers={}]
+ * @param {Object} [options.body] - Sent as JSON.
+ * @returns {Promise<{status: number, headers: Headers, text: string, body: Object|undefined}>}
+ */
+const request = async (
+  app,
+  path,
+  { method = "GET", headers = {}, body } = {}
+) => {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  try {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      text,
+      body: /json/.test(response.headers.get("content-type"))
+        ? JSON.parse(text)
+        : undefined,
+    };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+export { request };
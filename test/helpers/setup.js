@@ -0,0 +1,20 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { setDefaultRegistryOptions } from "../../utils/default_registry_util.js";
+import { createCaptureDestination } from "../../utils/log_capture_util.js";
+
+/**
+ * Test setup, imported before anything else by the test files using the
+ * default logger registry: its entries are captured in memory, without any
+ * file transport or config watcher, and the log files a test writes itself
+ * go to a temporary root instead of ./logs.
+ */
+const logsRoot = fs.mkdtempSync(path.join(os.tmpdir(), "logs-"));
+process.env.LOGS_ROOT = logsRoot;
+process.on("exit", () => fs.rmSync(logsRoot, { recursive: true, force: true }));
+
+setDefaultRegistryOptions({
+  onError: "throw",
+  createDestination: createCaptureDestination,
+});
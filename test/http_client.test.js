@@ -0,0 +1,195 @@
+import "./helpers/setup.js";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { after, before, beforeEach, describe, test } from "node:test";
+import Loggers from "../config/loggers.json" assert { type: "json" };
+import { ApiError } from "../utils/error_util.js";
+import { createHttpClient } from "../utils/http_client_util.js";
+import { closeLoggers, loggerRegistry } from "../utils/pino_util.js";
+import {
+  captureLogs,
+  clearLogs,
+  expectLogged,
+} from "../utils/log_capture_util.js";
+import { runWithRequestContext } from "../utils/request_context_util.js";
+
+let server;
+let baseURL;
+let hits;
+let lastHeaders;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    lastHeaders = req.headers;
+    req.resume();
+    const path = req.url.split("?")[0];
+    if (path === "/flaky" && hits[req.url] < 3) {
+      return res.writeHead(503).end();
+    }
+    if (path === "/down") return res.writeHead(503).end();
+    if (path === "/missing") return res.writeHead(404).end();
+    res.writeHead(200, {
+      "Content-Type": "application/json",
+      "Set-Cookie": "session=s3cr3t-session",
+    });
+    res.end(JSON.stringify({ id: 1, token: "s3cr3t-response-token" }));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  hits = {};
+  clearLogs();
+});
+
+after(async () => {
+  server.close();
+  await closeLoggers();
+});
+
+describe("createHttpClient", () => {
+  test("retries idempotent requests on retryable statuses", async () => {
+    const client = createHttpClient({ baseURL, retries: 2, retryDelayMs: 1 });
+
+    const logs = await captureLogs(async () => {
+      const response = await client.get("/flaky");
+      assert.equal(response.status, 200);
+    });
+
+    assert.equal(hits["/flaky"], 3);
+    expectLogged(
+      {
+        logger: "systemLogger",
+        level: "info",
+        code: "HTTP_CLIENT_REQUEST",
+        fields: { status: 200, retryCount: 2 },
+      },
+      logs
+    );
+    assert.equal(logs.length, 1); // One entry per request, not per attempt
+  });
+
+  test("gives up after the configured retries", async () => {
+    const client = createHttpClient({ baseURL, retries: 1, retryDelayMs: 1 });
+
+    const logs = await captureLogs(() =>
+      assert.rejects(client.get("/down"), (error) => {
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.statusCode, 502);
+        assert.equal(error.logger.retryCount, 1);
+        return true;
+      })
+    );
+
+    assert.equal(hits["/down"], 2);
+    expectLogged(
+      {
+        logger: "systemLogger",
+        level: "warn",
+        code: "HTTP_CLIENT_REQUEST_FAILED",
+        fields: { status: 503, reason: "Responded with status 503" },
+      },
+      logs
+    );
+  });
+
+  test("does not retry a non-idempotent request", async () => {
+    const client = createHttpClient({ baseURL, retries: 2, retryDelayMs: 1 });
+
+    await captureLogs(() => assert.rejects(client.post("/down", { id: 1 })));
+
+    assert.equal(hits["/down"], 1);
+  });
+
+  test("passes upstream client errors on without retrying", async () => {
+    const client = createHttpClient({ baseURL, retries: 2, retryDelayMs: 1 });
+
+    await captureLogs(() =>
+      assert.rejects(client.get("/missing"), { statusCode: 404 })
+    );
+
+    assert.equal(hits["/missing"], 1);
+  });
+
+  test("censors credentials in the logged request and response", async () => {
+    const client = createHttpClient({
+      baseURL,
+      redactFields: ["password", "*.cardNumber", "token"],
+    });
+
+    const logs = await captureLogs(() =>
+      client.put(
+        "/accounts/1?apiKey=s3cr3t-key&view=full",
+        {
+          name: "Jane",
+          password: "s3cr3t-password",
+          card: { cardNumber: "4111111111111111" },
+        },
+        { headers: { Authorization: "Bearer s3cr3t-bearer" } }
+      )
+    );
+
+    const { entry } = expectLogged(
+      { logger: "systemLogger", code: "HTTP_CLIENT_REQUEST" },
+      logs
+    );
+    assert.equal(
+      entry.request.url,
+      `${baseURL}/accounts/1?apiKey=%5BRedacted%5D&view=full`
+    );
+    assert.equal(entry.request.headers.authorization, "[Redacted]");
+    assert.deepEqual(entry.request.body, {
+      name: "Jane",
+      password: "[Redacted]",
+      card: { cardNumber: "[Redacted]" },
+    });
+    assert.equal(entry.response.headers["set-cookie"], "[Redacted]");
+    assert.deepEqual(entry.response.body, { id: 1, token: "[Redacted]" });
+    assert.doesNotMatch(JSON.stringify(entry), /s3cr3t|4111111111111111/);
+  });
+
+  test("censors the body fields loggers.json redacts for the category", async () => {
+    loggerRegistry.reload({
+      ...Loggers,
+      loggers: {
+        ...Loggers.loggers,
+        systemLogger: {
+          ...Loggers.loggers.systemLogger,
+          redactFields: [
+            ...(Loggers.loggers.systemLogger.redactFields || []),
+            "metadata.pin",
+          ],
+        },
+      },
+    });
+    try {
+      const client = createHttpClient({ baseURL });
+
+      const logs = await captureLogs(() =>
+        client.post("/accounts", { owner: { pin: "s3cr3t-pin" } })
+      );
+
+      const { entry } = expectLogged(
+        { logger: "systemLogger", code: "HTTP_CLIENT_REQUEST" },
+        logs
+      );
+      assert.deepEqual(entry.request.body, { owner: { pin: "[Redacted]" } });
+    } finally {
+      loggerRegistry.reload(Loggers);
+    }
+  });
+
+  test("sends the correlation id of the incoming request", async () => {
+    const client = createHttpClient({ baseURL });
+
+    await captureLogs(() =>
+      runWithRequestContext({ requestId: "req-42" }, () => client.get("/ok"))
+    );
+
+    assert.equal(lastHeaders["x-request-id"], "req-42");
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  createLogSuppressor,
+  validateSuppressionConfig,
+} from "../utils/log_suppression_util.js";
+
+/**
+ * Creates a suppressor collecting its summaries, stopped after the test.
+ */
+const createSuppressor = (t, rules) => {
+  const summaries = [];
+  const suppressor = createLogSuppressor({ rules }, (summary) =>
+    summaries.push(summary)
+  );
+  t.after(suppressor.stop);
+  return { ...suppressor, summaries };
+};
+
+describe("createLogSuppressor", () => {
+  test("drops duplicates within the window", (t) => {
+    const { shouldSuppress, flush, summaries } = createSuppressor(t, [
+      { code: "DB_*", dedupWindowSeconds: 60 },
+    ]);
+    const entry = { code: "DB_TIMEOUT", reason: "pool exhausted" };
+
+    assert.equal(shouldSuppress("warn", entry, "Timeout"), false);
+    assert.equal(shouldSuppress("warn", entry, "Timeout"), true);
+    assert.equal(shouldSuppress("warn", entry, "Timeout"), true);
+    // Another reason is not a duplicate
+    assert.equal(
+      shouldSuppress("warn", { ...entry, reason: "host down" }, "Timeout"),
+      false
+    );
+
+    flush();
+    assert.equal(summaries.length, 1);
+    assert.equal(summaries[0].reason, "duplicate");
+    assert.equal(summaries[0].code, "DB_TIMEOUT");
+    assert.equal(summaries[0].level, "warn");
+    assert.equal(summaries[0].dropped, 2);
+  });
+
+  test("keeps one entry in sampleRate", (t) => {
+    const { shouldSuppress, flush, summaries } = createSuppressor(t, [
+      { code: "CACHE_MISS", sampleRate: 3 },
+    ]);
+
+    const kept = Array.from(
+      { length: 7 },
+      () => !shouldSuppress("info", { code: "CACHE_MISS" })
+    );
+
+    assert.deepEqual(kept, [true, false, false, true, false, false, true]);
+    flush();
+    assert.deepEqual(
+      summaries.map(({ reason, dropped }) => ({ reason, dropped })),
+      [{ reason: "sampling", dropped: 4 }]
+    );
+  });
+
+  test("applies the first rule matching the code and level", (t) => {
+    const { shouldSuppress } = createSuppressor(t, [
+      { code: "CACHE_MISS", levels: ["error"], sampleRate: 1 },
+      { code: "CACHE_*", sampleRate: 2 },
+    ]);
+
+    const keptErrors = [1, 2].map(
+      () => !shouldSuppress("error", { code: "CACHE_MISS" })
+    );
+    const keptInfos = [1, 2].map(
+      () => !shouldSuppress("info", { code: "CACHE_MISS" })
+    );
+
+    assert.deepEqual(keptErrors, [true, true]);
+    assert.deepEqual(keptInfos, [true, false]);
+    assert.equal(shouldSuppress("info", { code: "OTHER" }), false);
+  });
+
+  test("reports nothing when nothing was dropped", (t) => {
+    const { flush, summaries } = createSuppressor(t, [
+      { code: "DB_*", dedupWindowSeconds: 60 },
+    ]);
+
+    flush();
+    assert.deepEqual(summaries, []);
+  });
+});
+
+describe("validateSuppressionConfig", () => {
+  test("rejects a rule suppressing nothing", () => {
+    assert.throws(
+      () =>
+        validateSuppressionConfig({ rules: [{ code: "DB_*" }] }, "suppression"),
+      /suppression\.rules\[0\] needs a sampleRate or a dedupWindowSeconds/
+    );
+  });
+
+  test("rejects invalid rates and unknown options", () => {
+    assert.throws(
+      () =>
+        validateSuppressionConfig(
+          { rules: [{ sampleRate: 1.5 }] },
+          "suppression"
+        ),
+      /sampleRate must be a positive integer/
+    );
+    assert.throws(
+      () =>
+        validateSuppressionConfig(
+          { rules: [{ sampleRate: 2, window: 10 }] },
+          "suppression"
+        ),
+      /Unknown suppression\.rules\[0\] options: window/
+    );
+  });
+});
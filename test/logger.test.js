@@ -0,0 +1,282 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, test } from "node:test";
+import Loggers from "../config/loggers.json" assert { type: "json" };
+import {
+  captureLogs,
+  clearLogs,
+  createCaptureDestination,
+  expectLogged,
+  getLogs,
+} from "../utils/log_capture_util.js";
+import { createLoggerRegistry } from "../utils/logger_registry_util.js";
+
+const loggerRegistry = createLoggerRegistry(Loggers, {
+  onError: "throw",
+  createDestination: createCaptureDestination,
+});
+const { loggers, logsCategory } = loggerRegistry;
+
+beforeEach(clearLogs);
+after(() => loggerRegistry.close());
+
+describe("validateFields", () => {
+  test("rejects a warning without the required reason", () => {
+    assert.throws(
+      () =>
+        loggers.authLogger.warn(
+          { code: "AUTH_FAILED", context: "login" },
+          "Login failed"
+        ),
+      /Invalid fields for authLogger\.warn: .*reason/
+    );
+    assert.equal(getLogs().length, 0);
+  });
+
+  test("rejects a code that does not match the pattern", () => {
+    assert.throws(
+      () =>
+        loggers.systemLogger.info(
+          { code: "not a code", context: "startup" },
+          "Started"
+        ),
+      /Invalid fields for systemLogger\.info: .*code/
+    );
+  });
+
+  test("logs an entry carrying every required field", async () => {
+    const logs = await captureLogs(() =>
+      loggers.authLogger.warn(
+        { code: "AUTH_FAILED", context: "login", reason: "wrong password" },
+        "Login failed"
+      )
+    );
+
+    assert.equal(logs.length, 1);
+    expectLogged(
+      {
+        logger: "authLogger",
+        level: "warn",
+        code: "AUTH_FAILED",
+        msg: "Login failed",
+        fields: { reason: "wrong password" },
+      },
+      logs
+    );
+  });
+
+  test("timestamps entries in ISO 8601 with the local offset", async () => {
+    const before = Date.now();
+    const logs = await captureLogs(() =>
+      loggers.systemLogger.info({ code: "APP_STARTED", context: "startup" })
+    );
+
+    const { entry } = expectLogged({ logger: "systemLogger" }, logs);
+    assert.match(
+      entry.time,
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}[+-]\d{2}:\d{2}$/
+    );
+    assert.ok(Math.abs(Date.parse(entry.time) - before) < 1000);
+  });
+});
+
+describe("redaction", () => {
+  test("censors the configured field paths", () => {
+    loggers.usageLogger.info(
+      {
+        code: "USER_DATA_ACCESS",
+        context: "user data api call",
+        metadata: {
+          secretKey: "cscdcsdwq3453",
+          user: { userId: "42", password: "1234", ssn: "65432vsdc" },
+        },
+      },
+      "Fetching user data"
+    );
+
+    const { entry } = expectLogged({
+      logger: "usageLogger",
+      code: "USER_DATA_ACCESS",
+    });
+    assert.deepEqual(entry.metadata, {
+      secretKey: "[Redacted]",
+      user: { userId: "42", password: "[Redacted]", ssn: "[Redacted]" },
+    });
+  });
+
+  test("masks detected values in the message and the entry", () => {
+    loggers.systemLogger.info(
+      {
+        code: "SYSTEM_CLOCK",
+        context: "contact",
+        contact: "jane.doe@example.com",
+      },
+      "Notifying jane.doe@example.com"
+    );
+
+    const { entry } = expectLogged({ code: "SYSTEM_CLOCK" });
+    assert.doesNotMatch(JSON.stringify(entry), /jane\.doe@example\.com/);
+    assert.equal(entry.msg, "Notifying [Redacted]");
+  });
+
+  test("hashes the mask fields of the logger", () => {
+    const log = (email) =>
+      loggers.authLogger.info(
+        {
+          code: "AUTH_LICENSE_SUCCESS",
+          context: "login",
+          metadata: { user: { email } },
+        },
+        "Logged in"
+      );
+    log("jane.doe@example.com");
+    log("jane.doe@example.com");
+
+    const [first, second] = getLogs({ code: "AUTH_LICENSE_SUCCESS" }).map(
+      ({ entry }) => entry.metadata.user.email
+    );
+    assert.match(first, /^sha256:[0-9a-f]{16}$/);
+    assert.equal(first, second); // Deterministic, entries can be joined on it
+  });
+});
+
+describe("categories", () => {
+  test("are derived from the loggers configuration", () => {
+    loggerRegistry.reload({
+      ...Loggers,
+      loggers: { ...Loggers.loggers, billingLogger: { category: "billing" } },
+    });
+    try {
+      assert.equal(logsCategory.BILLING, "billing");
+      loggerRegistry
+        .forCategory(logsCategory.BILLING)
+        .info({ code: "USAGE_RECORDED", context: "invoice" }, "Invoiced");
+      expectLogged({ logger: "billingLogger", code: "USAGE_RECORDED" });
+    } finally {
+      loggerRegistry.reload(Loggers);
+    }
+    assert.equal(logsCategory.BILLING, undefined);
+  });
+
+  test("fall back to the fallback logger with a single warning", () => {
+    const logger = loggerRegistry.forCategory("shipping");
+    loggerRegistry.forCategory("shipping");
+
+    assert.equal(logger, loggers.systemLogger);
+    const warnings = getLogs({ code: "LOG_CATEGORY_UNKNOWN" });
+    assert.equal(warnings.length, 1);
+    expectLogged({
+      logger: "systemLogger",
+      level: "warn",
+      msg: 'Unknown log category "shipping", its entries go to systemLogger',
+    });
+  });
+});
+
+describe("custom levels", () => {
+  test("are logger methods with their own required fields", () => {
+    assert.throws(
+      () =>
+        loggers.authLogger.audit(
+          { code: "AUTH_LICENSE_SUCCESS", context: "license check" },
+          "License checked"
+        ),
+      /Invalid fields for authLogger\.audit: "actor" is required/
+    );
+
+    loggers.authLogger.audit(
+      {
+        code: "AUTH_LICENSE_SUCCESS",
+        context: "license check",
+        actor: "admin",
+      },
+      "License checked"
+    );
+    const { entry } = expectLogged({
+      logger: "authLogger",
+      level: "audit",
+      code: "AUTH_LICENSE_SUCCESS",
+    });
+    assert.equal(entry.level, 35);
+    assert.equal(entry.type, "AUDIT");
+  });
+});
+
+describe("transports", () => {
+  test("route each logger to the files of its transports", () => {
+    assert.deepEqual(
+      loggerRegistry.getLogFiles("usage").map(({ folder, name }) => ({
+        folder,
+        name,
+      })),
+      [{ folder: "usage/combined", name: "combined" }]
+    );
+    const warnFile = loggerRegistry
+      .getLogFiles("authentication")
+      .find(({ transport }) => transport === "warnFile");
+    assert.equal(warnFile.minLevel, 40);
+    assert.equal(warnFile.maxLevel, 40); // Exact level, errors go elsewhere
+  });
+
+  test("reject an unknown target before reloading", () => {
+    assert.throws(
+      () =>
+        loggerRegistry.reload({
+          ...Loggers,
+          common: {
+            ...Loggers.common,
+            transports: { console: { target: "syslog" } },
+          },
+        }),
+      /Unknown common\.transports\.console\.target "syslog"/
+    );
+    assert.equal(loggerRegistry.getConfig(), Loggers);
+  });
+});
+
+describe("errorLevels", () => {
+  test("rejects a level requiring fields error entries do not have", () => {
+    assert.throws(
+      () =>
+        loggerRegistry.reload({
+          ...Loggers,
+          errorLevels: { ...Loggers.errorLevels, statuses: { 403: "audit" } },
+        }),
+      /Level "audit" of errorLevels\.statuses\["403"\] requires fields error entries do not have: actor/
+    );
+    assert.equal(loggerRegistry.getConfig(), Loggers);
+  });
+
+  test("accepts a custom level the error logger can fill", () => {
+    const config = {
+      ...Loggers,
+      errorLevels: { ...Loggers.errorLevels, statuses: { 403: "security" } },
+    };
+    try {
+      loggerRegistry.reload(config);
+      assert.equal(loggerRegistry.getConfig(), config);
+    } finally {
+      loggerRegistry.reload(Loggers);
+    }
+  });
+});
+
+describe("registries", () => {
+  test("do not share metrics", async () => {
+    const metrics = loggerRegistry.metrics.render();
+    const otherRegistry = createLoggerRegistry(Loggers, {
+      createDestination: createCaptureDestination,
+    });
+    try {
+      otherRegistry.loggers.systemLogger.logCode("SYSTEM_CLOCK", {
+        params: { time: "12:00" },
+      });
+      assert.match(
+        otherRegistry.metrics.render(),
+        /log_entries_total\{logger="systemLogger",category="system",level="info",code="SYSTEM_CLOCK"\} 1/
+      );
+      assert.equal(loggerRegistry.metrics.render(), metrics);
+    } finally {
+      await otherRegistry.close();
+    }
+  });
+});
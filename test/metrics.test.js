@@ -0,0 +1,155 @@
+import "./helpers/setup.js";
+import assert from "node:assert/strict";
+import { after, describe, test } from "node:test";
+import app from "../app.js";
+import { createMetrics, validateMetricsConfig } from "../utils/metrics_util.js";
+import { closeLoggers } from "../utils/pino_util.js";
+import { request } from "./helpers/request.js";
+
+after(closeLoggers);
+
+/**
+ * Returns the value of a sample line of the rendered metrics, if any.
+ */
+const getSample = (text, sample) => {
+  const line = text
+    .split("\n")
+    .find((candidate) => candidate.startsWith(sample));
+  return line && Number(line.slice(sample.length + 1));
+};
+
+describe("createMetrics", () => {
+  test("counts log entries by logger, category, level and code", () => {
+    const metrics = createMetrics();
+    const labels = {
+      logger: "authLogger",
+      category: "authentication",
+      level: "info",
+    };
+
+    metrics.recordLogEntry({ ...labels, code: "AUTH_LOGIN" });
+    metrics.recordLogEntry({ ...labels, code: "AUTH_LOGIN" });
+    metrics.recordLogEntry(labels);
+
+    const text = metrics.render();
+    assert.equal(
+      getSample(
+        text,
+        'log_entries_total{logger="authLogger",category="authentication",level="info",code="AUTH_LOGIN"}'
+      ),
+      2
+    );
+    assert.equal(
+      getSample(
+        text,
+        'log_entries_total{logger="authLogger",category="authentication",level="info",code="none"}'
+      ),
+      1
+    );
+  });
+
+  test("reports codes above maxCodeLabels as other", () => {
+    const metrics = createMetrics();
+    metrics.configure({ maxCodeLabels: 1 });
+
+    ["FIRST", "SECOND", "THIRD", "FIRST"].forEach((code) =>
+      metrics.recordSuppressedLogEntry({
+        logger: "systemLogger",
+        category: "system",
+        level: "warn",
+        code,
+      })
+    );
+
+    const text = metrics.render();
+    const sample = (code) =>
+      getSample(
+        text,
+        `log_entries_suppressed_total{logger="systemLogger",category="system",level="warn",code="${code}"}`
+      );
+    assert.equal(sample("FIRST"), 2);
+    assert.equal(sample("other"), 2);
+    assert.equal(sample("SECOND"), undefined);
+  });
+
+  test("escapes label values", () => {
+    const metrics = createMetrics();
+
+    metrics.recordRequestDuration(
+      { method: "GET", route: 'a"b\\c\n', status: 200 },
+      0.1
+    );
+
+    assert.match(metrics.render(), /route="a\\"b\\\\c\\n"/);
+  });
+
+  test("fills the latency buckets and resets them when they change", () => {
+    const metrics = createMetrics();
+    metrics.configure({ latencyBuckets: [0.1, 1] });
+    const labels = { method: "GET", route: "/", status: 200 };
+    const series = 'method="GET",route="/",status="200"';
+
+    metrics.recordRequestDuration(labels, 0.05);
+    metrics.recordRequestDuration(labels, 0.5);
+    metrics.recordRequestDuration(labels, 5);
+
+    let text = metrics.render();
+    const bucket = (le) =>
+      getSample(
+        text,
+        `http_request_duration_seconds_bucket{${series},le="${le}"}`
+      );
+    assert.equal(bucket(0.1), 1);
+    assert.equal(bucket(1), 2);
+    assert.equal(bucket("+Inf"), 3);
+    assert.equal(
+      getSample(text, `http_request_duration_seconds_sum{${series}}`),
+      5.55
+    );
+
+    metrics.configure({ latencyBuckets: [0.5] });
+    text = metrics.render();
+    assert.doesNotMatch(text, /http_request_duration_seconds_bucket/);
+  });
+});
+
+describe("validateMetricsConfig", () => {
+  test("rejects buckets that are not increasing", () => {
+    assert.throws(
+      () => validateMetricsConfig({ latencyBuckets: [1, 0.5] }),
+      /latencyBuckets must be increasing positive numbers/
+    );
+  });
+
+  test("rejects a negative maxCodeLabels", () => {
+    assert.throws(
+      () => validateMetricsConfig({ maxCodeLabels: -1 }),
+      /maxCodeLabels must be a non-negative integer/
+    );
+  });
+});
+
+describe("GET /metrics", () => {
+  test("exposes the logging and request metrics", async () => {
+    await request(app, "/user/42");
+
+    const response = await request(app, "/metrics");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    assert.ok(
+      getSample(
+        response.text,
+        'log_entries_total{logger="accessLogger",category="access",level="info",code="HTTP_ACCESS"}'
+      ) >= 1
+    );
+    // Requests are labelled with their route, not their path
+    assert.equal(
+      getSample(
+        response.text,
+        'http_request_duration_seconds_count{method="GET",route="/user/:id",status="200"}'
+      ),
+      1
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { after, before, describe, test } from "node:test";
+import rotatingFileTransport from "../helper/rotating_file_transport.js";
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rotation-"));
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const entry = (level, code) => `${JSON.stringify({ level, code })}\n`;
+
+const end = async (stream) => {
+  stream.end();
+  await once(stream, "finish");
+};
+
+describe("rotatingFileTransport", () => {
+  test("rotates the active file into a dated file at the size limit", async () => {
+    const folder = path.join(tmpDir, "size");
+    const stream = rotatingFileTransport({
+      folder,
+      name: "info",
+      size: "1K",
+      compress: false,
+    });
+
+    const rotated = once(stream, "rotated");
+    for (let index = 0; index < 40; index += 1) {
+      stream.write(entry(30, `ENTRY_${index}`));
+    }
+    const [rotatedFile] = await rotated;
+    await end(stream);
+
+    const today = new Date().toISOString().split("T")[0];
+    assert.equal(path.basename(rotatedFile), `info-${today}.log`);
+    const files = fs
+      .readdirSync(folder)
+      .filter((file) => file.endsWith(".log"));
+    assert.deepEqual(files.sort(), ["info.log", `info-${today}.log`].sort());
+    const rotatedEntries = fs
+      .readFileSync(rotatedFile, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line).code);
+    assert.equal(rotatedEntries[0], "ENTRY_0");
+  });
+
+  test("prunes the rotated files older than maxAgeDays", async () => {
+    const folder = path.join(tmpDir, "retention");
+    fs.mkdirSync(folder);
+    const expiredFile = path.join(folder, "info-2020-01-01.log.gz");
+    const otherFile = path.join(folder, "error-2020-01-01.log.gz");
+    const longAgo = new Date("2020-01-02");
+    [expiredFile, otherFile].forEach((file) => {
+      fs.writeFileSync(file, "");
+      fs.utimesSync(file, longAgo, longAgo);
+    });
+    const stream = rotatingFileTransport({
+      folder,
+      name: "info",
+      size: "1K",
+      maxAgeDays: 7,
+    });
+
+    const rotated = once(stream, "rotated");
+    for (let index = 0; index < 40; index += 1) {
+      stream.write(entry(30, `ENTRY_${index}`));
+    }
+    await rotated;
+    await end(stream);
+    // Files are pruned in the background once the rotation is done
+    for (let wait = 0; wait < 50 && fs.existsSync(expiredFile); wait += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    assert.equal(fs.existsSync(expiredFile), false);
+    assert.equal(fs.existsSync(otherFile), true); // Another level's file
+  });
+
+  test("drops the entries above maxLevel", async () => {
+    const folder = path.join(tmpDir, "max-level");
+    const stream = rotatingFileTransport({
+      folder,
+      name: "info",
+      compress: false,
+      maxLevel: 30,
+    });
+
+    stream.write(entry(30, "KEPT"));
+    stream.write(entry(50, "DROPPED"));
+    await end(stream);
+
+    const codes = fs
+      .readFileSync(path.join(folder, "info.log"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line).code);
+    assert.deepEqual(codes, ["KEPT"]);
+  });
+});
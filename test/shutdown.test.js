@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { describe, test } from "node:test";
+import { expectLogged } from "../utils/log_capture_util.js";
+
+const moduleUrl = (file) => JSON.stringify(new URL(file, import.meta.url).href);
+
+/**
+ * Runs a script in a child process, since `shutdown` exits the process.
+ * The script has `shutdown` and `registerShutdownHook` in scope, and
+ * reports what happened with "event: " lines. The loggers of the child are
+ * captured like in the tests, and reported when it exits.
+ *
+ * @param {string} script
+ * @returns {Promise<{code: number, events: string[], logs: Array<{logger: string, level: string, entry: Object}>, stderr: string}>}
+ */
+const runScript = (script) =>
+  new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [
+        "--input-type=module",
+        "--no-warnings",
+        "-e",
+        `import ${moduleUrl("./helpers/setup.js")};
+        import { getLogs } from ${moduleUrl("../utils/log_capture_util.js")};
+        import { registerShutdownHook, shutdown } from ${moduleUrl(
+          "../utils/lifecycle_util.js"
+        )};
+        process.on("exit", () =>
+          getLogs().forEach((log) => console.log(\`log: \${JSON.stringify(log)}\`))
+        );
+        ${script}`,
+      ],
+      { timeout: 20000 },
+      (error, stdout, stderr) => {
+        const lines = stdout.split("\n");
+        const readLines = (prefix) =>
+          lines
+            .filter((line) => line.startsWith(prefix))
+            .map((line) => line.slice(prefix.length));
+        resolve({
+          code: error ? error.code : 0,
+          events: readLines("event: "),
+          logs: readLines("log: ").map((line) => JSON.parse(line)),
+          stderr,
+        });
+      }
+    );
+  });
+
+describe("shutdown", () => {
+  test("drains in-flight requests before the hooks and exits", async () => {
+    const { code, events, logs } = await runScript(`
+      import http from "node:http";
+      const server = http.createServer((req, res) => {
+        shutdown({ server, reason: "test", exitCode: 3 });
+        setTimeout(() => res.end("done"), 100);
+      });
+      registerShutdownHook("report", () => console.log("event: hook"));
+      server.listen(0, "127.0.0.1", async () => {
+        const response = await fetch(
+          \`http://127.0.0.1:\${server.address().port}\`
+        );
+        console.log(\`event: response \${await response.text()}\`);
+      });
+    `);
+
+    assert.equal(code, 3);
+    assert.deepEqual(events, ["response done", "hook"]);
+    expectLogged(
+      {
+        logger: "systemLogger",
+        level: "info",
+        code: "SHUTDOWN_STARTED",
+        fields: { params: { reason: "test" }, exitCode: 3 },
+      },
+      logs
+    );
+  });
+
+  test("runs the other hooks when one fails", async () => {
+    const { code, events, logs } = await runScript(`
+      registerShutdownHook("failing", () => {
+        throw new Error("failed");
+      });
+      registerShutdownHook("report", () => console.log("event: hook"));
+      shutdown({ reason: "test" });
+    `);
+
+    assert.equal(code, 0);
+    assert.deepEqual(events, ["hook"]);
+    expectLogged(
+      {
+        logger: "systemLogger",
+        level: "warn",
+        code: "SHUTDOWN_HOOK_FAILED",
+        fields: { hook: "failing", reason: "failed" },
+      },
+      logs
+    );
+  });
+
+  test("forces the exit after the timeout", async () => {
+    const { code, stderr } = await runScript(`
+      registerShutdownHook("stuck", () => new Promise(() => {}));
+      setInterval(() => {}, 1000); // Keeps the process alive
+      shutdown({ reason: "test", timeoutMs: 200 });
+    `);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Graceful shutdown timed out after 200ms/);
+  });
+});
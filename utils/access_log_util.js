@@ -0,0 +1,74 @@
+const ACCESS_LOG_KEYS = ["logger", "slowRequestMs", "slowRoutes"];
+
+/**
+ * Logger used for access entries when `accessLog.logger` is not set.
+ */
+const DEFAULT_ACCESS_LOGGER = "accessLogger";
+
+/**
+ * Validates the `accessLog` section of `loggers.json`.
+ *
+ * `slowRoutes` keys are route patterns, optionally prefixed with a method
+ * (e.g., "GET /admin/logs" or "/admin/logs").
+ *
+ * @param {Object|undefined} accessLog - The access log configuration.
+ * @param {Object} loggersConfig - The `loggers` section, the access logger must be one of them.
+ * @throws {Error} - If an option is invalid.
+ */
+const validateAccessLogConfig = (accessLog, loggersConfig) => {
+  if (accessLog === undefined) return;
+  if (!accessLog || typeof accessLog !== "object" || Array.isArray(accessLog)) {
+    throw new Error("Invalid `accessLog` configuration.");
+  }
+  const unknownKeys = Object.keys(accessLog).filter(
+    (key) => !ACCESS_LOG_KEYS.includes(key)
+  );
+  if (unknownKeys.length) {
+    throw new Error(`Unknown accessLog options: ${unknownKeys.join(", ")}`);
+  }
+  const {
+    logger = DEFAULT_ACCESS_LOGGER,
+    slowRequestMs,
+    slowRoutes,
+  } = accessLog;
+  if (!Object.hasOwn(loggersConfig, logger)) {
+    throw new Error(`accessLog.logger "${logger}" is not a configured logger.`);
+  }
+  if (slowRequestMs !== undefined && !(slowRequestMs > 0)) {
+    throw new Error("accessLog.slowRequestMs must be a positive number.");
+  }
+  if (slowRoutes !== undefined) {
+    if (!slowRoutes || typeof slowRoutes !== "object") {
+      throw new Error("accessLog.slowRoutes must be an object.");
+    }
+    Object.entries(slowRoutes).forEach(([route, thresholdMs]) => {
+      if (!/^([A-Z]+ )?\//.test(route)) {
+        throw new Error(
+          `Invalid accessLog.slowRoutes route "${route}", expected "[METHOD ]/path".`
+        );
+      }
+      if (!(thresholdMs > 0)) {
+        throw new Error(
+          `accessLog.slowRoutes["${route}"] must be a positive number.`
+        );
+      }
+    });
+  }
+};
+
+/**
+ * Resolves the duration past which a request is logged as slow.
+ * A threshold for the method and route wins over one for the route, which
+ * wins over `slowRequestMs`.
+ *
+ * @param {Object|undefined} accessLog - The `accessLog` section.
+ * @param {string} method - The request method.
+ * @param {string} route - The matched route pattern (e.g., "/admin/logs").
+ * @returns {number|undefined} - The threshold in milliseconds, undefined when slow requests are not reported.
+ */
+const getSlowThresholdMs = (accessLog, method, route) =>
+  accessLog?.slowRoutes?.[`${method} ${route}`] ??
+  accessLog?.slowRoutes?.[route] ??
+  accessLog?.slowRequestMs;
+
+export { DEFAULT_ACCESS_LOGGER, validateAccessLogConfig, getSlowThresholdMs };
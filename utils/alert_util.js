@@ -0,0 +1,307 @@
+import fs from "node:fs";
+import path from "node:path";
+import axios from "axios";
+import pino from "pino";
+import packageJson from "../package.json" assert { type: "json" };
+import { compileCodePattern } from "./log_code_util.js";
+import { runOutsideRequestContext } from "./request_context_util.js";
+
+const DEFAULT_ALERTING = {
+  source: packageJson.name, // Identifies the application in the alerts
+  batchIntervalSeconds: 10,
+  maxRetries: 5,
+  retryBaseDelayMs: 1000,
+  timeoutMs: 5000,
+  deadLetterFile: "./logs/alerts/dead-letter.ndjson",
+};
+
+/**
+ * Time allowed to the deliveries still running when the alert manager stops,
+ * well within the graceful shutdown timeout. Batches not delivered by then
+ * are written to the dead-letter file.
+ */
+const STOP_DELIVERY_TIMEOUT_MS = 2000;
+
+/**
+ * Number of triggering entries included in an alert as samples.
+ */
+const MAX_ALERT_SAMPLES = 5;
+
+const RULE_KEYS = [
+  "name",
+  "logger",
+  "category",
+  "level",
+  "code",
+  "count",
+  "windowSeconds",
+  "cooldownSeconds",
+];
+
+/**
+ * Validates the `alerting` section of `loggers.json`.
+ *
+ * @param {Object|undefined} alerting - The alerting configuration.
+ * @param {Object<string, number>} [levelValues=pino.levels.values] - The levels in effect, custom ones included.
+ * @throws {Error} - If an option or a rule is invalid.
+ */
+const validateAlertingConfig = (alerting, levelValues = pino.levels.values) => {
+  if (alerting === undefined) return;
+  if (!alerting || typeof alerting !== "object") {
+    throw new Error("Invalid `alerting` configuration.");
+  }
+  const { webhookUrl, rules = [] } = alerting;
+  if (webhookUrl !== undefined && webhookUrl !== "") {
+    try {
+      new URL(webhookUrl);
+    } catch {
+      throw new Error(`Invalid alerting.webhookUrl "${webhookUrl}".`);
+    }
+  }
+  if (
+    alerting.source !== undefined &&
+    (typeof alerting.source !== "string" || !alerting.source)
+  ) {
+    throw new Error("alerting.source must be a non-empty string.");
+  }
+  ["maxRetries", "retryBaseDelayMs"].forEach((option) => {
+    if (alerting[option] !== undefined && !(alerting[option] >= 0)) {
+      throw new Error(`alerting.${option} must be a non-negative number.`);
+    }
+  });
+  // A zero interval would flush in a busy loop, a zero timeout never expires
+  ["batchIntervalSeconds", "timeoutMs"].forEach((option) => {
+    if (alerting[option] !== undefined && !(alerting[option] > 0)) {
+      throw new Error(`alerting.${option} must be a positive number.`);
+    }
+  });
+  if (!Array.isArray(rules)) {
+    throw new Error("alerting.rules must be an array.");
+  }
+  rules.forEach((rule, index) => {
+    const location = `alerting.rules[${index}]`;
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`Invalid ${location} configuration.`);
+    }
+    const unknownKeys = Object.keys(rule).filter(
+      (key) => !RULE_KEYS.includes(key)
+    );
+    if (unknownKeys.length) {
+      throw new Error(`Unknown ${location} options: ${unknownKeys.join(", ")}`);
+    }
+    if (typeof rule.name !== "string" || !rule.name) {
+      throw new Error(`${location}.name is required.`);
+    }
+    if (rule.level !== undefined && !Object.hasOwn(levelValues, rule.level)) {
+      throw new Error(`Invalid ${location}.level "${rule.level}".`);
+    }
+    if (
+      rule.count !== undefined &&
+      !(Number.isInteger(rule.count) && rule.count > 0)
+    ) {
+      throw new Error(`${location}.count must be a positive integer.`);
+    }
+    ["windowSeconds", "cooldownSeconds"].forEach((option) => {
+      if (rule[option] !== undefined && !(rule[option] >= 0)) {
+        throw new Error(`${location}.${option} must be a non-negative number.`);
+      }
+    });
+  });
+};
+
+/**
+ * Waits for a delay, or until the signal is aborted.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Creates the alert manager evaluating log entries against the alerting
+ * rules. A rule fires once `count` matching entries were seen within
+ * `windowSeconds`, then stays quiet for `cooldownSeconds`. Fired alerts are
+ * batched and POSTed to the webhook in the background, with retries and
+ * exponential backoff; batches that still fail are appended to the
+ * dead-letter file. Observing an entry never waits for the network.
+ * Once stopped, batches are not retried: those not delivered within
+ * `STOP_DELIVERY_TIMEOUT_MS` go to the dead-letter file.
+ *
+ * @param {Object} alerting - The `alerting` section of `loggers.json`.
+ * @param {Object} [hooks]
+ * @param {(error: Error, attempts: number) => void} [hooks.onDeliveryFailure] - Called when a batch goes to the dead-letter file.
+ * @param {Object<string, number>} [hooks.levelValues=pino.levels.values] - The levels in effect, custom ones included.
+ * @returns {{observe: (event: Object) => void, flush: () => Promise<void>, stop: () => Promise<void>}|null} - Null when alerting is disabled.
+ */
+const createAlertManager = (
+  alerting,
+  { onDeliveryFailure, levelValues = pino.levels.values } = {}
+) => {
+  const settings = { ...DEFAULT_ALERTING, ...alerting };
+  if (!settings.webhookUrl || !settings.rules?.length) return null;
+
+  const rules = settings.rules.map((rule) => ({
+    count: 1,
+    windowSeconds: 60,
+    cooldownSeconds: 300,
+    ...rule,
+    codePattern: compileCodePattern(rule.code),
+    minLevel: levelValues[rule.level || "error"],
+    hits: [],
+    cooldownUntil: 0,
+  }));
+  let pendingAlerts = [];
+  let inFlight = Promise.resolve();
+  // Aborted on stop: the backoff waits right away, the requests after a grace period
+  const stopRetries = new AbortController();
+  const stopRequests = new AbortController();
+
+  const matches = (rule, { loggerKey, category, level, entry }) =>
+    (!rule.logger || rule.logger === loggerKey) &&
+    (!rule.category || rule.category === category) &&
+    levelValues[level] >= rule.minLevel &&
+    rule.codePattern.test(String(entry?.code ?? ""));
+
+  /**
+   * Counts a log entry towards the rules it matches and fires the alerts
+   * whose threshold is reached.
+   *
+   * @param {{loggerKey: string, category: string, level: string, entry: Object, message?: string, requestId?: string}} event
+   */
+  const observe = (event) => {
+    const now = Date.now();
+    rules.forEach((rule) => {
+      if (!matches(rule, event)) return;
+
+      rule.hits = rule.hits.filter(
+        (hit) => now - hit.at < rule.windowSeconds * 1000
+      );
+      rule.hits.push({
+        at: now,
+        logger: event.loggerKey,
+        level: event.level,
+        code: event.entry?.code,
+        message: event.message,
+        requestId: event.requestId,
+      });
+      if (rule.hits.length < rule.count || now < rule.cooldownUntil) return;
+
+      pendingAlerts.push({
+        rule: rule.name,
+        count: rule.hits.length,
+        windowSeconds: rule.windowSeconds,
+        firstAt: new Date(rule.hits[0].at).toISOString(),
+        lastAt: new Date(now).toISOString(),
+        samples: rule.hits.slice(-MAX_ALERT_SAMPLES).map(({ at, ...hit }) => ({
+          ...hit,
+          time: new Date(at).toISOString(),
+        })),
+      });
+      rule.hits = [];
+      rule.cooldownUntil = now + rule.cooldownSeconds * 1000;
+    });
+  };
+
+  /**
+   * Appends an undeliverable batch to the dead-letter file.
+   */
+  const writeDeadLetter = async (payload) => {
+    try {
+      await fs.promises.mkdir(path.dirname(settings.deadLetterFile), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(
+        settings.deadLetterFile,
+        `${JSON.stringify(payload)}\n`
+      );
+    } catch (error) {
+      console.error("Error writing alert dead-letter file:", error);
+    }
+  };
+
+  /**
+   * POSTs a batch to the webhook, retrying with exponential backoff.
+   */
+  const deliver = async (payload) => {
+    let lastError = null;
+    let attempts = 0;
+    while (attempts <= settings.maxRetries) {
+      if (attempts > 0) {
+        await delay(
+          settings.retryBaseDelayMs * 2 ** (attempts - 1),
+          stopRetries.signal
+        );
+      }
+      if (attempts > 0 && stopRetries.signal.aborted) break; // Stopped
+      attempts += 1;
+      try {
+        await axios.post(settings.webhookUrl, payload, {
+          timeout: settings.timeoutMs,
+          signal: stopRequests.signal,
+        });
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    await writeDeadLetter(payload);
+    onDeliveryFailure?.(lastError, attempts);
+  };
+
+  /**
+   * Sends the pending alerts as one batch. Batches are delivered one at a
+   * time, in order.
+   *
+   * @returns {Promise<void>} - Resolves once the batch is delivered or dead-lettered.
+   */
+  const flush = () => {
+    if (!pendingAlerts.length) return inFlight;
+    const payload = {
+      source: settings.source,
+      sentAt: new Date().toISOString(),
+      alerts: pendingAlerts,
+    };
+    pendingAlerts = [];
+    inFlight = inFlight.then(() => deliver(payload));
+    return inFlight;
+  };
+
+  // Deliveries are not part of the request that happened to start the timer
+  const batchTimer = runOutsideRequestContext(() =>
+    setInterval(flush, settings.batchIntervalSeconds * 1000)
+  );
+  batchTimer.unref(); // Alerting must not keep the process alive
+
+  /**
+   * Stops the batching and delivers the pending alerts, without retries.
+   *
+   * @returns {Promise<void>} - Resolves once every batch is delivered or dead-lettered.
+   */
+  const stop = async () => {
+    clearInterval(batchTimer);
+    stopRetries.abort();
+    const requestsTimer = setTimeout(
+      () => stopRequests.abort(),
+      STOP_DELIVERY_TIMEOUT_MS
+    );
+    await flush();
+    clearTimeout(requestsTimer);
+  };
+
+  return { observe, flush, stop };
+};
+
+export { validateAlertingConfig, createAlertManager };
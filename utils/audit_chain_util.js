@@ -0,0 +1,547 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import { isLogFileOf } from "./log_files_util.js";
+
+/**
+ * `prevHash` of the first entry of a chain.
+ */
+const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * Code of the signed checkpoint entries.
+ */
+const AUDIT_CHECKPOINT_CODE = "AUDIT_CHECKPOINT";
+
+/**
+ * Bytes read from the end of the active file to recover the chain head.
+ */
+const RECOVERY_TAIL_BYTES = 64 * 1024;
+
+const AUDIT_KEYS = ["checkpointIntervalSeconds", "signingKeyFile"];
+
+/**
+ * Validates the `audit` section of a logger entry.
+ *
+ * @param {Object|undefined} audit - The audit configuration.
+ * @param {string} location - Where the section was found, for error messages.
+ * @throws {Error} - If an option is invalid.
+ */
+const validateAuditConfig = (audit, location) => {
+  if (audit === undefined) return;
+  if (!audit || typeof audit !== "object" || Array.isArray(audit)) {
+    throw new Error(`Invalid ${location} configuration.`);
+  }
+  const unknownKeys = Object.keys(audit).filter(
+    (key) => !AUDIT_KEYS.includes(key)
+  );
+  if (unknownKeys.length) {
+    throw new Error(`Unknown ${location} options: ${unknownKeys.join(", ")}`);
+  }
+  const { checkpointIntervalSeconds, signingKeyFile } = audit;
+  if (
+    checkpointIntervalSeconds !== undefined &&
+    !(checkpointIntervalSeconds > 0)
+  ) {
+    throw new Error(
+      `${location}.checkpointIntervalSeconds must be a positive number.`
+    );
+  }
+  if (
+    signingKeyFile !== undefined &&
+    (typeof signingKeyFile !== "string" || !signingKeyFile)
+  ) {
+    throw new Error(`${location}.signingKeyFile must be a file path.`);
+  }
+  if (checkpointIntervalSeconds !== undefined && !signingKeyFile) {
+    throw new Error(
+      `${location}.checkpointIntervalSeconds needs a signingKeyFile.`
+    );
+  }
+};
+
+/**
+ * Hashes a sealed log line, without its line break.
+ *
+ * @param {string} line
+ * @returns {string} - Hex encoded SHA-256.
+ */
+const hashLine = (line) =>
+  crypto.createHash("sha256").update(line).digest("hex");
+
+/**
+ * @typedef {object} ChainFile
+ * @property {string} folder - Folder of the files (e.g., "logs/authentication/info").
+ * @property {string} name - Base name of the files (e.g., "info").
+ * @property {number} minLevel - Lowest level value written to the files.
+ * @property {number} [maxLevel] - Highest level value written to the files, unbounded when omitted.
+ */
+
+/**
+ * Checks whether a level is written to a chained file.
+ *
+ * @param {ChainFile} file
+ * @param {number} level - The level value of an entry.
+ * @returns {boolean}
+ */
+const receivesLevel = ({ minLevel, maxLevel = Infinity }, level) =>
+  level >= minLevel && level <= maxLevel;
+
+/**
+ * Sort key of a level file: rotated files by the day in their name, then by
+ * their index (the first file of a day has none), the active file last.
+ *
+ * @param {string} name - File name (e.g., "info-2026-01-31.2.log.gz").
+ * @returns {[string, number]}
+ */
+const getFileOrder = (name) => {
+  const match = name.match(/-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log/);
+  return match ? [match[1], Number(match[2] || 1)] : ["\uffff", 0];
+};
+
+/**
+ * Lists the files of a chained file transport, oldest first.
+ *
+ * @param {string} folder - The folder of the files (e.g., "logs/authentication/info").
+ * @param {string} name - Base name of the files (e.g., "info").
+ * @returns {string[]} - Absolute file paths.
+ */
+const listChainFiles = (folder, name) => {
+  let names = [];
+  try {
+    names = fs.readdirSync(folder);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return names
+    .filter((fileName) => isLogFileOf(fileName, name))
+    .map((fileName) => ({ fileName, order: getFileOrder(fileName) }))
+    .sort(
+      (a, b) => a.order[0].localeCompare(b.order[0]) || a.order[1] - b.order[1]
+    )
+    .map(({ fileName }) => path.resolve(folder, fileName));
+};
+
+/**
+ * Reads the text a chain head can be recovered from: the whole of a
+ * compressed file, the tail of a plain one.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+const readFileTail = (file) => {
+  if (file.endsWith(".gz")) {
+    return zlib.gunzipSync(fs.readFileSync(file)).toString();
+  }
+  const { size } = fs.statSync(file);
+  const length = Math.min(size, RECOVERY_TAIL_BYTES);
+  const buffer = Buffer.alloc(length);
+  const descriptor = fs.openSync(file, "r");
+  try {
+    fs.readSync(descriptor, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(descriptor);
+  }
+  return buffer.toString();
+};
+
+/**
+ * Finds the last chained entry written to the files of a transport.
+ *
+ * @param {ChainFile} chainFile
+ * @returns {{seq: number, hash: string}} - The last entry, the genesis when the files hold no chained entry.
+ */
+const recoverFileHead = ({ folder, name }) => {
+  for (const file of listChainFiles(folder, name).reverse()) {
+    const lines = readFileTail(file).split("\n").reverse();
+    for (const line of lines) {
+      try {
+        const { seq } = JSON.parse(line);
+        if (Number.isInteger(seq)) return { seq, hash: hashLine(line) };
+      } catch {
+        // Partial first line of the tail, or an entry torn by a crash
+      }
+    }
+  }
+  return { seq: 0, hash: GENESIS_HASH };
+};
+
+/**
+ * Finds the last chained entry of a category: the most recent of the last
+ * entries of its files.
+ *
+ * @param {ChainFile[]} files - The chained files of the category.
+ * @returns {{seq: number, hash: string}} - The chain head, the genesis when no file holds a chained entry.
+ */
+const recoverChainHead = (files) =>
+  files
+    .map(recoverFileHead)
+    .reduce((head, fileHead) => (fileHead.seq > head.seq ? fileHead : head), {
+      seq: 0,
+      hash: GENESIS_HASH,
+    });
+
+/**
+ * Fingerprint identifying the key pair checkpoints are signed with.
+ *
+ * @param {crypto.KeyObject} key - The private or public key.
+ * @returns {string}
+ */
+const getKeyId = (key) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      (key.type === "public" ? key : crypto.createPublicKey(key)).export({
+        type: "spki",
+        format: "der",
+      })
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Creates the hash chain of a category. Every sealed line carries a `seq`
+ * number and the `prevHash` of the line sealed before it, so editing,
+ * removing or reordering lines breaks the chain. The head is recovered from
+ * the files on creation, so the chain continues across restarts and
+ * rotations.
+ *
+ * Only the entries written to a file are sealed, so the files hold an
+ * unbroken sequence between them.
+ *
+ * @param {Object} options
+ * @param {ChainFile[]} options.files - The files of the category.
+ * @returns {{seal: (line: string) => string, getHead: () => {seq: number, hash: string}, setFiles: (files: ChainFile[]) => void}}
+ */
+const createAuditChain = ({ files }) => {
+  let head = recoverChainHead(files);
+  let chainFiles = files;
+
+  /**
+   * Seals a serialized log line. Used as the pino `streamWrite` hook, which
+   * receives the lines in the order they are written.
+   *
+   * @param {string} line - A serialized entry, with its line break.
+   * @returns {string} - The sealed line.
+   */
+  const seal = (line) => {
+    const level = Number(line.match(/^\{"level":(\d+)/)?.[1]);
+    if (!chainFiles.some((file) => receivesLevel(file, level))) return line;
+
+    const seq = head.seq + 1;
+    const sealed = `${line.slice(
+      0,
+      line.lastIndexOf("}")
+    )},"seq":${seq},"prevHash":"${head.hash}"}`;
+    head = { seq, hash: hashLine(sealed) };
+    return `${sealed}\n`;
+  };
+
+  return {
+    seal,
+    getHead: () => head,
+    // The files of a rebuilt logger, the chain continues from the same head
+    setFiles: (files) => {
+      chainFiles = files;
+    },
+  };
+};
+
+/**
+ * Loads the private key checkpoints are signed with.
+ *
+ * @param {string} signingKeyFile - PEM encoded Ed25519 private key.
+ * @returns {{keyId: string, sign: (head: {seq: number, hash: string}) => string}}
+ * @throws {Error} - If the key cannot be read.
+ */
+const loadCheckpointSigner = (signingKeyFile) => {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(signingKeyFile));
+  return {
+    keyId: getKeyId(privateKey),
+    sign: ({ seq, hash }) =>
+      crypto
+        .sign(null, Buffer.from(`${seq}:${hash}`), privateKey)
+        .toString("base64"),
+  };
+};
+
+/**
+ * Generates the Ed25519 key pair of signed checkpoints.
+ *
+ * @param {string} directory - Where `audit_signing_key.pem` and `audit_verify_key.pem` are written.
+ * @returns {{signingKeyFile: string, verifyKeyFile: string, keyId: string}}
+ */
+const generateCheckpointKeys = (directory) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  fs.mkdirSync(directory, { recursive: true });
+  const signingKeyFile = path.join(directory, "audit_signing_key.pem");
+  const verifyKeyFile = path.join(directory, "audit_verify_key.pem");
+  fs.writeFileSync(
+    signingKeyFile,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600, flag: "wx" }
+  );
+  fs.writeFileSync(
+    verifyKeyFile,
+    publicKey.export({ type: "spki", format: "pem" })
+  );
+  return { signingKeyFile, verifyKeyFile, keyId: getKeyId(privateKey) };
+};
+
+/**
+ * Streams the lines of a log file, decompressing gzip files on the fly.
+ *
+ * @param {string} file
+ * @returns {AsyncIterable<string>}
+ */
+const readLines = (file) => {
+  const fileStream = fs.createReadStream(file);
+  const input = file.endsWith(".gz")
+    ? fileStream.pipe(zlib.createGunzip())
+    : fileStream;
+  return readline.createInterface({ input, crlfDelay: Infinity });
+};
+
+/**
+ * Reads the chained entries of a file transport, oldest first. Yields a
+ * `reason` instead of an entry, and stops, at the first malformed line.
+ *
+ * @param {ChainFile} chainFile
+ * @returns {AsyncGenerator<{file: string, line: number, seq?: number, entry?: Object, hash?: string, reason?: string}>}
+ */
+async function* readChainedEntries({ folder, name }) {
+  let previousSeq = 0;
+  for (const file of listChainFiles(folder, name)) {
+    let lineNumber = 0;
+    for await (const line of readLines(file)) {
+      lineNumber += 1;
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        yield { file, line: lineNumber, reason: "Unparsable entry" };
+        return;
+      }
+      const { seq } = entry;
+      if (!Number.isInteger(seq)) {
+        // Entries written before the audit mode was enabled
+        if (!previousSeq) continue;
+        yield {
+          file,
+          line: lineNumber,
+          reason: "Entry without a sequence number",
+        };
+        return;
+      }
+      if (seq <= previousSeq) {
+        yield {
+          file,
+          line: lineNumber,
+          seq,
+          reason: `Expected a sequence number above ${previousSeq}`,
+        };
+        return;
+      }
+      previousSeq = seq;
+      yield { file, line: lineNumber, seq, entry, hash: hashLine(line) };
+    }
+  }
+}
+
+/**
+ * Verifies the hash chain of a category.
+ * The files are merged on the `seq` of their entries, which must form an
+ * unbroken sequence. Each entry must be in every file receiving its level,
+ * and nowhere else; copies of an entry must be identical. Checkpoints must
+ * match the chain and, when a verify key is given, carry a valid signature.
+ * History removed by retention is not an error: the chain may start past the
+ * genesis, and is allowed gaps until the oldest entry of every file has been
+ * reached, as files are pruned independently.
+ *
+ * @param {Object} options
+ * @param {ChainFile[]} options.files - The files of the category, as currently configured.
+ * @param {crypto.KeyObject} [options.verifyKey] - Public key of the signed checkpoints.
+ * @returns {Promise<{valid: boolean, entries: number, firstSeq?: number, lastSeq?: number, checkpoints: number, brokenLink?: {file: string, line: number, seq?: number, reason: string}}>}
+ */
+const verifyAuditChain = async ({ files, verifyKey }) => {
+  const report = { valid: true, entries: 0, checkpoints: 0 };
+  const fail = (file, line, seq, reason) => ({
+    ...report,
+    valid: false,
+    brokenLink: { file: path.relative(process.cwd(), file), line, seq, reason },
+  });
+  const verifyKeyId = verifyKey && getKeyId(verifyKey);
+
+  const sources = files.map((chainFile) => ({
+    chainFile,
+    entries: readChainedEntries(chainFile),
+    current: null, // Next entry of the file
+    previous: null, // Last entry of the file merged into the chain
+  }));
+  const advance = async (source) => {
+    const { value, done } = await source.entries.next();
+    source.current = done ? null : value;
+  };
+
+  /**
+   * Finds a copy differing from the chained entry.
+   */
+  const findModifiedCopy = (copies, hash) =>
+    copies.find((copy) => copy.hash !== hash);
+
+  try {
+    await Promise.all(sources.map(advance));
+    let head = null; // Copies of the last chained entry
+    for (;;) {
+      const broken = sources.find((source) => source.current?.reason);
+      if (broken) {
+        const { file, line, seq, reason } = broken.current;
+        return fail(file, line, seq, reason);
+      }
+      const pending = sources.filter((source) => source.current);
+      if (!pending.length) break;
+
+      const seq = Math.min(...pending.map((source) => source.current.seq));
+      const holders = pending.filter((source) => source.current.seq === seq);
+      const copies = holders.map((source) => source.current);
+      const [{ file, line, entry }] = copies;
+
+      if (!head) {
+        if (seq === 1 && entry.prevHash !== GENESIS_HASH) {
+          return fail(
+            file,
+            line,
+            seq,
+            "First entry does not start from the genesis"
+          );
+        }
+        report.firstSeq = seq;
+      } else if (seq === head[0].seq + 1) {
+        if (!head.some((copy) => copy.hash === entry.prevHash)) {
+          return fail(
+            head[0].file,
+            head[0].line,
+            head[0].seq,
+            `Entry was modified, its hash does not match the prevHash of seq ${seq}`
+          );
+        }
+        // The entry is intact, so the differing copy is the modified one
+        const modified = findModifiedCopy(head, entry.prevHash);
+        if (modified) {
+          return fail(
+            modified.file,
+            modified.line,
+            modified.seq,
+            "Entry differs from the chained entry"
+          );
+        }
+      } else if (pending.every((source) => source.previous)) {
+        // Every file holds entries before the gap, none was pruned
+        return fail(
+          file,
+          line,
+          seq,
+          `Expected sequence number ${head[0].seq + 1}`
+        );
+      } else {
+        const modified = findModifiedCopy(head, head[0].hash);
+        if (modified) {
+          return fail(
+            modified.file,
+            modified.line,
+            modified.seq,
+            "Entry differs from the chained entry"
+          );
+        }
+      }
+
+      // Files already reached must hold the entries of their levels
+      const misplaced = holders.find(
+        (source) => !receivesLevel(source.chainFile, entry.level)
+      );
+      if (misplaced) {
+        return fail(
+          misplaced.current.file,
+          misplaced.current.line,
+          seq,
+          "Entry level is not written to this file"
+        );
+      }
+      const missing = sources.find(
+        (source) =>
+          source.previous &&
+          !holders.includes(source) &&
+          receivesLevel(source.chainFile, entry.level)
+      );
+      if (missing) {
+        const position = missing.current || missing.previous;
+        return fail(
+          position.file,
+          position.line,
+          seq,
+          missing.current
+            ? "Entry is missing before this line"
+            : "Entry is missing after this line"
+        );
+      }
+
+      if (entry.code === AUDIT_CHECKPOINT_CODE && entry.checkpoint) {
+        const { checkpoint } = entry;
+        if (
+          head &&
+          (checkpoint.seq !== head[0].seq || checkpoint.hash !== head[0].hash)
+        ) {
+          return fail(file, line, seq, "Checkpoint does not match the chain");
+        }
+        if (verifyKey) {
+          const signed =
+            checkpoint.keyId === verifyKeyId &&
+            crypto.verify(
+              null,
+              Buffer.from(`${checkpoint.seq}:${checkpoint.hash}`),
+              verifyKey,
+              Buffer.from(String(checkpoint.signature), "base64")
+            );
+          if (!signed) {
+            return fail(file, line, seq, "Invalid checkpoint signature");
+          }
+        }
+        report.checkpoints += 1;
+      }
+
+      head = copies;
+      report.entries += 1;
+      report.lastSeq = seq;
+      holders.forEach((source) => {
+        source.previous = source.current;
+      });
+      await Promise.all(holders.map(advance));
+    }
+
+    const modified = head && findModifiedCopy(head, head[0].hash);
+    if (modified) {
+      return fail(
+        modified.file,
+        modified.line,
+        modified.seq,
+        "Entry differs from the last chained entry"
+      );
+    }
+    return report;
+  } finally {
+    // Close the files left open by an early failure
+    await Promise.all(sources.map((source) => source.entries.return()));
+  }
+};
+
+export {
+  AUDIT_CHECKPOINT_CODE,
+  validateAuditConfig,
+  createAuditChain,
+  loadCheckpointSigner,
+  generateCheckpointKeys,
+  verifyAuditChain,
+};
@@ -0,0 +1,167 @@
+import pino from "pino";
+
+/**
+ * Custom level names: usable as logger method names.
+ */
+const LEVEL_NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+const CUSTOM_LEVEL_KEYS = ["value", "color"];
+
+/**
+ * Lists the members of a logger, own and inherited.
+ *
+ * @param {pino.Logger} logger
+ * @returns {string[]}
+ */
+const listLoggerMembers = (logger) => {
+  const members = Object.keys(logger);
+  for (
+    let prototype = Object.getPrototypeOf(logger);
+    prototype && prototype !== Object.prototype;
+    prototype = Object.getPrototypeOf(prototype)
+  ) {
+    members.push(...Object.getOwnPropertyNames(prototype));
+  }
+  return members;
+};
+
+/**
+ * Names a custom level cannot take: the built-in levels and the logger
+ * members its method would shadow, including those of the wrapped loggers.
+ */
+const RESERVED_NAMES = new Set([
+  ...listLoggerMembers(pino({ enabled: false })),
+  "logCode",
+]);
+
+/**
+ * Normalizes the `common.customLevels` section of `loggers.json`, whose levels
+ * are declared by their numeric value or by `{ value, color }`.
+ *
+ * @param {Object<string, number|{value: number, color?: string}>} [customLevels={}]
+ * @returns {Array<{name: string, value: number, color?: string}>}
+ */
+const normalizeCustomLevels = (customLevels = {}) =>
+  Object.entries(customLevels).map(([name, definition]) =>
+    typeof definition === "number"
+      ? { name, value: definition }
+      : { name, ...definition }
+  );
+
+/**
+ * Returns the values of the custom levels, as pino's `customLevels` option.
+ *
+ * @param {Object} [customLevels] - The `common.customLevels` section.
+ * @returns {Object<string, number>}
+ */
+const getCustomLevelValues = (customLevels) =>
+  Object.fromEntries(
+    normalizeCustomLevels(customLevels).map(({ name, value }) => [name, value])
+  );
+
+/**
+ * Returns the values of pino's levels and of the custom levels, by name.
+ *
+ * @param {Object} [customLevels] - The `common.customLevels` section.
+ * @returns {Object<string, number>}
+ */
+const getLevelValues = (customLevels) => ({
+  ...pino.levels.values,
+  ...getCustomLevelValues(customLevels),
+});
+
+/**
+ * Returns the pino-pretty options rendering the custom levels by name, in
+ * their color (e.g., `customColors: "audit:cyan"`), next to the built-in ones.
+ *
+ * @param {Object} [customLevels] - The `common.customLevels` section.
+ * @returns {Object} - Empty when there is no custom level.
+ */
+const getPrettyLevelOptions = (customLevels) => {
+  const levels = normalizeCustomLevels(customLevels);
+  if (!levels.length) return {};
+  const colors = levels
+    .filter(({ color }) => color)
+    .map(({ name, color }) => `${name}:${color}`);
+  return {
+    customLevels: levels.map(({ name, value }) => `${name}:${value}`).join(","),
+    ...(colors.length && { customColors: colors.join(",") }),
+    useOnlyCustomProps: false, // Keep the built-in levels and colors
+  };
+};
+
+/**
+ * Validates the `common.customLevels` section of `loggers.json`.
+ *
+ * @param {Object|undefined} customLevels - Levels by name, declared by value or by `{ value, color }`.
+ * @throws {Error} - If a level name, value or color is invalid.
+ */
+const validateCustomLevelsConfig = (customLevels) => {
+  if (customLevels === undefined) return;
+  if (
+    !customLevels ||
+    typeof customLevels !== "object" ||
+    Array.isArray(customLevels)
+  ) {
+    throw new Error("Invalid common.customLevels configuration.");
+  }
+  const usedValues = new Map(
+    Object.entries(pino.levels.values).map(([name, value]) => [value, name])
+  );
+  Object.entries(customLevels).forEach(([name, definition]) => {
+    const location = `common.customLevels.${name}`;
+    if (!LEVEL_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid custom level name "${name}", expected a camelCase name.`
+      );
+    }
+    if (RESERVED_NAMES.has(name)) {
+      throw new Error(
+        `Custom level "${name}" clashes with a built-in level or logger member.`
+      );
+    }
+    if (
+      typeof definition !== "number" &&
+      (!definition || typeof definition !== "object")
+    ) {
+      throw new Error(`Invalid ${location} configuration.`);
+    }
+    if (typeof definition === "object") {
+      const unknownKeys = Object.keys(definition).filter(
+        (key) => !CUSTOM_LEVEL_KEYS.includes(key)
+      );
+      if (unknownKeys.length) {
+        throw new Error(
+          `Unknown ${location} options: ${unknownKeys.join(", ")}`
+        );
+      }
+      if (
+        definition.color !== undefined &&
+        !/^[a-zA-Z]+$/.test(definition.color)
+      ) {
+        throw new Error(`Invalid ${location}.color "${definition.color}".`);
+      }
+    }
+    const value =
+      typeof definition === "number" ? definition : definition.value;
+    if (!(Number.isInteger(value) && value > 0)) {
+      throw new Error(`${location} value must be a positive integer.`);
+    }
+    if (usedValues.has(value)) {
+      throw new Error(
+        `${location} value ${value} is already used by level "${usedValues.get(
+          value
+        )}".`
+      );
+    }
+    usedValues.set(value, name);
+  });
+};
+
+export {
+  normalizeCustomLevels,
+  getCustomLevelValues,
+  getLevelValues,
+  getPrettyLevelOptions,
+  validateCustomLevelsConfig,
+};
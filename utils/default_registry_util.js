@@ -0,0 +1,38 @@
+/**
+ * Options the default logger registry of `pino_util.js` is created with,
+ * instead of the file transports and hot reload of the application.
+ * @type {Object|null}
+ */
+let defaultRegistryOptions = null;
+
+let defaultRegistryCreated = false;
+
+/**
+ * Sets the options of the default logger registry, e.g. an in-memory
+ * `createDestination` in tests. Must run before `pino_util.js` is first
+ * imported, since the registry is created at that time.
+ *
+ * @param {Object} options - Options of `createLoggerRegistry`.
+ * @throws {Error} - If the default registry was already created.
+ */
+const setDefaultRegistryOptions = (options) => {
+  if (defaultRegistryCreated) {
+    throw new Error(
+      "The default logger registry is already created, set its options before importing pino_util.js."
+    );
+  }
+  defaultRegistryOptions = options;
+};
+
+/**
+ * Returns the options set for the default logger registry, and marks it as
+ * created.
+ *
+ * @returns {Object|null} - The options, null when none were set.
+ */
+const takeDefaultRegistryOptions = () => {
+  defaultRegistryCreated = true;
+  return defaultRegistryOptions;
+};
+
+export { setDefaultRegistryOptions, takeDefaultRegistryOptions };
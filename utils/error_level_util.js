@@ -0,0 +1,242 @@
+import pino from "pino";
+
+/**
+ * Level of error entries no mapping matches.
+ */
+const DEFAULT_ERROR_LEVEL = "error";
+
+const ERROR_LEVELS_KEYS = ["default", "statuses", "categories", "errorClasses"];
+
+/**
+ * Fields an error entry is sure to have: the code and context of the error's
+ * logger data, and the error and reason the error logger fills in. Levels
+ * requiring other fields (e.g., the `actor` of "audit") cannot be mapped.
+ */
+const ERROR_ENTRY_FIELDS = ["code", "context", "reason", "error"];
+
+/**
+ * Status keys: an exact code ("404"), a class ("4xx") or a range ("400-499").
+ */
+const STATUS_KEY_PATTERN = /^(?:[1-5]\d{2}|[1-5]xx|[1-5]\d{2}-[1-5]\d{2})$/;
+
+/**
+ * Parses a status key into the inclusive range of statuses it covers.
+ *
+ * @param {string} key - "404", "4xx" or "400-499".
+ * @returns {[number, number]}
+ */
+const parseStatusKey = (key) => {
+  if (key.endsWith("xx")) {
+    const from = Number(key[0]) * 100;
+    return [from, from + 99];
+  }
+  const [from, to = from] = key.split("-").map(Number);
+  return [from, to];
+};
+
+/**
+ * Checks whether a level can be used by the mapping. "silent" skips logging.
+ *
+ * @param {string} level
+ * @param {Object<string, number>} levelValues - The levels in effect, custom ones included.
+ * @returns {boolean}
+ */
+const isMappableLevel = (level, levelValues) =>
+  level === "silent" || Object.hasOwn(levelValues, level);
+
+/**
+ * Checks that error entries can be logged at a level.
+ *
+ * @param {string} level - A mappable level.
+ * @param {string} location - Where the level was found, for error messages.
+ * @param {(level: string) => string[]} getRequiredFields - Paths of the fields the level requires.
+ * @throws {Error} - If the level requires fields error entries do not have.
+ */
+const validateErrorEntryFields = (level, location, getRequiredFields) => {
+  const missingFields = getRequiredFields(level).filter(
+    (field) => !ERROR_ENTRY_FIELDS.includes(field)
+  );
+  if (missingFields.length) {
+    throw new Error(
+      `Level "${level}" of ${location} requires fields error entries do not have: ${missingFields.join(
+        ", "
+      )}.`
+    );
+  }
+};
+
+/**
+ * Validates a status to level map.
+ *
+ * @param {Object} statuses - Levels keyed by status code, class or range.
+ * @param {string} location - Where the map was found, for error messages.
+ * @param {Object<string, number>} levelValues - The levels in effect, custom ones included.
+ * @param {(level: string) => string[]} getRequiredFields - Paths of the fields each level requires.
+ * @throws {Error} - If a key or a level is invalid.
+ */
+const validateStatusLevels = (
+  statuses,
+  location,
+  levelValues,
+  getRequiredFields
+) => {
+  if (!statuses || typeof statuses !== "object" || Array.isArray(statuses)) {
+    throw new Error(`${location} must be an object.`);
+  }
+  Object.entries(statuses).forEach(([status, level]) => {
+    if (!STATUS_KEY_PATTERN.test(status)) {
+      throw new Error(
+        `Invalid ${location} status "${status}", expected "404", "4xx" or "400-499".`
+      );
+    }
+    const [from, to] = parseStatusKey(status);
+    if (to < from) {
+      throw new Error(`Invalid ${location} range "${status}".`);
+    }
+    if (!isMappableLevel(level, levelValues)) {
+      throw new Error(`Invalid level "${level}" for ${location}["${status}"].`);
+    }
+    validateErrorEntryFields(
+      level,
+      `${location}["${status}"]`,
+      getRequiredFields
+    );
+  });
+};
+
+/**
+ * Validates the `errorLevels` section of `loggers.json`.
+ *
+ * @param {Object|undefined} errorLevels - The status to level mapping.
+ * @param {Object<string, number>} [levelValues=pino.levels.values] - The levels in effect, custom ones included.
+ * @param {(level: string) => string[]} [getRequiredFields] - Paths of the fields each level requires, none by default.
+ * @throws {Error} - If the section is invalid.
+ */
+const validateErrorLevelsConfig = (
+  errorLevels,
+  levelValues = pino.levels.values,
+  getRequiredFields = () => []
+) => {
+  if (errorLevels === undefined) return;
+  if (
+    !errorLevels ||
+    typeof errorLevels !== "object" ||
+    Array.isArray(errorLevels)
+  ) {
+    throw new Error("Invalid `errorLevels` configuration.");
+  }
+  const unknownKeys = Object.keys(errorLevels).filter(
+    (key) => !ERROR_LEVELS_KEYS.includes(key)
+  );
+  if (unknownKeys.length) {
+    throw new Error(`Unknown errorLevels options: ${unknownKeys.join(", ")}`);
+  }
+  const {
+    default: defaultLevel,
+    statuses,
+    categories,
+    errorClasses,
+  } = errorLevels;
+  if (
+    defaultLevel !== undefined &&
+    !isMappableLevel(defaultLevel, levelValues)
+  ) {
+    throw new Error(`Invalid errorLevels.default level "${defaultLevel}".`);
+  }
+  if (defaultLevel !== undefined) {
+    validateErrorEntryFields(
+      defaultLevel,
+      "errorLevels.default",
+      getRequiredFields
+    );
+  }
+  if (statuses !== undefined) {
+    validateStatusLevels(
+      statuses,
+      "errorLevels.statuses",
+      levelValues,
+      getRequiredFields
+    );
+  }
+  [
+    ["categories", categories],
+    ["errorClasses", errorClasses],
+  ].forEach(([section, maps]) => {
+    if (maps === undefined) return;
+    if (!maps || typeof maps !== "object" || Array.isArray(maps)) {
+      throw new Error(`errorLevels.${section} must be an object.`);
+    }
+    Object.entries(maps).forEach(([name, statusLevels]) =>
+      validateStatusLevels(
+        statusLevels,
+        `errorLevels.${section}.${name}`,
+        levelValues,
+        getRequiredFields
+      )
+    );
+  });
+};
+
+/**
+ * Finds the level a status map assigns to a status. An exact code wins over
+ * a range, and a narrower range over a wider one ("4xx" is "400-499").
+ *
+ * @param {Object|undefined} statuses - Levels keyed by status code, class or range.
+ * @param {number} status - The HTTP status.
+ * @returns {string|undefined}
+ */
+const matchStatusLevel = (statuses, status) => {
+  let match;
+  let matchWidth = Infinity;
+  Object.entries(statuses || {}).forEach(([key, level]) => {
+    const [from, to] = parseStatusKey(key);
+    const width = to - from;
+    if (status >= from && status <= to && width < matchWidth) {
+      match = level;
+      matchWidth = width;
+    }
+  });
+  return match;
+};
+
+/**
+ * Lists the class names of an error, from its own class to `Error`.
+ *
+ * @param {Error} error
+ * @returns {string[]}
+ */
+const getErrorClassNames = (error) => {
+  const names = [];
+  for (
+    let prototype = Object.getPrototypeOf(error ?? {});
+    prototype && prototype !== Object.prototype;
+    prototype = Object.getPrototypeOf(prototype)
+  ) {
+    names.push(prototype.constructor?.name);
+  }
+  return names;
+};
+
+/**
+ * Resolves the level an error is logged at from its HTTP status.
+ * The mapping of the error's class (or the nearest parent class) wins over
+ * the mapping of the category, which wins over the global statuses.
+ *
+ * @param {Object|undefined} errorLevels - The `errorLevels` section.
+ * @param {{status: number, category?: string, error?: Error}} details
+ * @returns {string} - A level name, "silent" when the error must not be logged.
+ */
+const resolveErrorLevel = (errorLevels, { status, category, error }) => {
+  const classLevel = getErrorClassNames(error)
+    .map((name) => matchStatusLevel(errorLevels?.errorClasses?.[name], status))
+    .find(Boolean);
+  return (
+    classLevel ??
+    matchStatusLevel(errorLevels?.categories?.[category], status) ??
+    matchStatusLevel(errorLevels?.statuses, status) ??
+    errorLevels?.default ??
+    DEFAULT_ERROR_LEVEL
+  );
+};
+
+export { validateErrorLevelsConfig, resolveErrorLevel };
@@ -0,0 +1,188 @@
+import { sanitizeUrl } from "./redaction_util.js";
+
+/**
+ * Limits applied while serializing errors, so a huge or deeply nested value
+ * cannot blow up a log line.
+ */
+const DEFAULT_SERIALIZER_LIMITS = {
+  maxDepth: 8, // Nesting of causes, members and fields
+  maxStringLength: 8192,
+  maxArrayLength: 50,
+  maxKeys: 50,
+};
+
+/**
+ * Fields read from every error, in output order. `code`, `errno` and
+ * `syscall` come from system errors and `CustomError`; `statusCode`, `path`,
+ * `command`, `log`, `error` and `data` from the `ApiError` subclasses.
+ */
+const ERROR_FIELDS = [
+  "name",
+  "message",
+  "code",
+  "errno",
+  "syscall",
+  "statusCode",
+  "path",
+  "command",
+  "log",
+  "error",
+  "data",
+];
+
+/**
+ * Fields never copied from an error: the logger payload of `ApiError` is
+ * logged on its own, and causes and members get their own handling.
+ */
+const SKIPPED_FIELDS = new Set(["logger", "stack", "cause", "errors"]);
+
+/**
+ * Truncates a string to the size limit.
+ *
+ * @param {string} value
+ * @param {number} maxStringLength
+ * @returns {string}
+ */
+const truncateString = (value, maxStringLength) =>
+  value.length > maxStringLength
+    ? `${value.slice(0, maxStringLength)}... [${
+        value.length - maxStringLength
+      } more characters]`
+    : value;
+
+/**
+ * Censors the credentials and secret query parameters of a logged URL.
+ *
+ * @param {*} url - The URL, logged as is when not a string.
+ * @returns {*}
+ */
+const summarizeUrl = (url) => {
+  if (typeof url !== "string") return url;
+  try {
+    return sanitizeUrl(url);
+  } catch {
+    return "[Invalid URL]"; // Cannot tell its secrets apart
+  }
+};
+
+/**
+ * Reduces an Axios error to what is safe and useful to log: the request
+ * method and URL (without secrets) and the response status and body, without
+ * the request, agent and configuration objects (which hold sockets and
+ * credentials).
+ *
+ * @param {import("axios").AxiosError} error
+ * @returns {Object}
+ */
+const summarizeAxiosError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.response?.status ?? error.status,
+  request: error.config && {
+    method: error.config.method?.toUpperCase(),
+    url: summarizeUrl(error.config.url),
+    baseURL: summarizeUrl(error.config.baseURL),
+    timeout: error.config.timeout,
+  },
+  response: error.response && {
+    status: error.response.status,
+    statusText: error.response.statusText,
+    data: error.response.data,
+  },
+});
+
+/**
+ * Serializes an error, or any value logged as an error, into a plain JSON
+ * safe object. Keeps the name, message and stack, the known and custom
+ * fields of the error, nested `cause` chains and `AggregateError` members.
+ * Circular references, and values nested or sized past the limits, are
+ * replaced by markers. Already serialized errors pass through unchanged.
+ *
+ * @param {*} error - The value to serialize.
+ * @param {Partial<typeof DEFAULT_SERIALIZER_LIMITS> & {includeStack?: boolean}} [options] - Overrides of the size limits, and whether stacks are kept (default true).
+ * @returns {*} - The serialized value.
+ */
+const serializeError = (error, { includeStack = true, ...limits } = {}) => {
+  const { maxDepth, maxStringLength, maxArrayLength, maxKeys } = {
+    ...DEFAULT_SERIALIZER_LIMITS,
+    ...limits,
+  };
+  const ancestors = new WeakSet();
+
+  const serializeValue = (value, depth) => {
+    if (typeof value === "string")
+      return truncateString(value, maxStringLength);
+    if (typeof value === "bigint") return value.toString();
+    if (typeof value === "function" || typeof value === "symbol") {
+      return undefined;
+    }
+    if (!value || typeof value !== "object") return value;
+    if (ancestors.has(value)) return "[Circular]";
+    if (depth > maxDepth) return "[Max depth exceeded]";
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer: ${value.length} bytes]`;
+
+    ancestors.add(value);
+    try {
+      if (value instanceof Error) return serializeErrorObject(value, depth);
+      if (Array.isArray(value)) {
+        const items = value
+          .slice(0, maxArrayLength)
+          .map((item) => serializeValue(item, depth + 1));
+        if (value.length > maxArrayLength) {
+          items.push(`[${value.length - maxArrayLength} more items]`);
+        }
+        return items;
+      }
+      // Plain objects, and class instances reduced to their own fields
+      return serializeFields(Object.entries(value), depth);
+    } finally {
+      ancestors.delete(value);
+    }
+  };
+
+  const serializeFields = (entries, depth) => {
+    const serialized = {};
+    entries.slice(0, maxKeys).forEach(([key, value]) => {
+      const serializedValue = serializeValue(value, depth + 1);
+      if (serializedValue !== undefined) serialized[key] = serializedValue;
+    });
+    if (entries.length > maxKeys) {
+      serialized["[truncated]"] = `${entries.length - maxKeys} more fields`;
+    }
+    return serialized;
+  };
+
+  const serializeErrorObject = (value, depth) => {
+    const isAxiosError = value.isAxiosError === true;
+    const fields = isAxiosError
+      ? Object.entries(summarizeAxiosError(value))
+      : [
+          ...ERROR_FIELDS.filter((field) => value[field] !== undefined).map(
+            (field) => [field, value[field]]
+          ),
+          ...Object.entries(value).filter(
+            ([key]) => !ERROR_FIELDS.includes(key) && !SKIPPED_FIELDS.has(key)
+          ),
+        ];
+    return {
+      type: value.constructor?.name || "Error",
+      ...serializeFields(fields, depth),
+      stack:
+        includeStack && typeof value.stack === "string"
+          ? truncateString(value.stack, maxStringLength)
+          : undefined,
+      ...(value.cause !== undefined && {
+        cause: serializeValue(value.cause, depth + 1),
+      }),
+      ...(Array.isArray(value.errors) && {
+        errors: serializeValue(value.errors, depth + 1),
+      }),
+    };
+  };
+
+  return serializeValue(error, 0);
+};
+
+export { DEFAULT_SERIALIZER_LIMITS, serializeError };
@@ -1,160 +1,342 @@
+import { formatCodeMessage, getLogCode } from "./log_code_util.js";
+import { serializeError } from "./error_serializer_util.js";
+
 /**
  * @typedef {object} Logger
- * @property {"warn"|"error"} variant - The type of log entry.
+ * @property {string} [variant] - Level of the log entry, overrides the `errorLevels` mapping.
  * @property {string} category
  * @property {string} code
  * @property {string} context
  * @property {string | undefined} message
+ * @property {object | undefined} params - Values for the code's message template.
  */
 
-class ApiError extends Error {
-  /**
-   * Creates an ApiError instance.
-   * @param {number} [statusCode=500] - HTTP status code for the error.
-   * @param {string} [message="An error occurred"] - Error message.
-   * @param {object|null} [error=null] - Detailed error type (e.g., "validation", "authentication").
-   * @param {object|null} [data=null] - Additional error-related data.
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
-   */
-  constructor(
-    statusCode = 500,
-    message = "An error occurred",
-    error = null,
-    data = null,
-    logger = null
+/**
+ * @typedef {object} ErrorTypeDefinition
+ * @property {string} name - Class name of the type (e.g., "GitError").
+ * @property {string} [errorName] - Value of `error.name`, defaults to the class name.
+ * @property {number} [status] - Default HTTP status.
+ * @property {string} [message] - Default message.
+ * @property {string} [category] - Default log category of the logger payload.
+ * @property {string} [code] - Default log code of the logger payload.
+ * @property {string[]} [fields] - Extra fields copied from the constructor options.
+ * @property {string[]} [parameters] - Order of the legacy positional constructor arguments.
+ * @property {{type: string, title: string, detail: string}} [problem] - Public problem type of the responses.
+ * @property {(error: ApiError) => void} [handle] - Called by `errorHandler` before responding.
+ */
+
+/**
+ * Error types by class name.
+ * @type {Map<string, typeof ApiError>}
+ */
+const errorTypes = new Map();
+
+/**
+ * Fills the category and context of a logger payload from its code's catalog
+ * definition when the caller left them out.
+ * @param {Logger|null} logger
+ * @returns {Logger|null}
+ */
+const withCodeDefaults = (logger) => {
+  const definition = getLogCode(logger?.code);
+  if (!definition) return logger;
+  return {
+    ...logger,
+    category: logger.category ?? definition.category,
+    context: logger.context ?? definition.context,
+  };
+};
+
+/**
+ * Fills a logger payload from its error type: the type's code when the
+ * payload has none, then the category of the code, then the type's category.
+ * @param {Logger|null} logger
+ * @param {ErrorTypeDefinition} definition
+ * @returns {Logger|null}
+ */
+const withTypeDefaults = (logger, definition) => {
+  if (!logger) return logger;
+  const payload = withCodeDefaults({
+    ...logger,
+    code: logger.code ?? definition.code,
+  });
+  return { ...payload, category: payload.category ?? definition.category };
+};
+
+/**
+ * Reads the constructor options of an error type, from an options object
+ * or from the legacy positional arguments of the type.
+ * @param {ErrorTypeDefinition} definition
+ * @param {Array} args - The constructor arguments.
+ * @returns {object}
+ */
+const readErrorOptions = (definition, args) => {
+  const [first] = args;
+  if (
+    args.length === 1 &&
+    first !== null &&
+    typeof first === "object" &&
+    Object.getPrototypeOf(first) === Object.prototype
   ) {
-    super(message);
-    this.name = "Api call error";
-    this.statusCode = statusCode;
-    this.error = error;
-    this.data = data;
-    this.logger = logger;
+    return first;
   }
-}
+  return Object.fromEntries(
+    definition.parameters.map((parameter, index) => [parameter, args[index]])
+  );
+};
 
-class ValidationError extends ApiError {
+class ApiError extends Error {
   /**
-   * Creates a ValidationError instance.
-   * @param {number} [statusCode=400] - HTTP status code for the error.
-   * @param {string} [message="Invalid property provided"] - Error message.
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
+   * Definition of the type, inherited by the types that do not declare one.
+   * @type {ErrorTypeDefinition}
    */
-  constructor(statusCode = 400, message = "Validation failure", logger = null) {
-    super(statusCode, message, null, null, logger);
-    this.name = "Validation error";
-  }
-}
+  static definition = {
+    name: "ApiError",
+    errorName: "Api call error",
+    status: 500,
+    message: "An error occurred",
+    fields: [],
+    parameters: ["statusCode", "message", "error", "data", "logger"],
+    problem: {
+      type: "api-error",
+      title: "Request failed",
+      detail: "The request could not be completed.",
+    },
+  };
 
-class FS_Error extends ApiError {
   /**
-   * Creates an FS_Error instance.
-   * @param {number} [statusCode=500] - HTTP status code for the error.
-   * @param {string} [message="File system error"] - Error message.
-   * @param {string|null} [path=null] - Path of the file causing the error.
-   * @param {object|null} [error=null] - Detailed error type (e.g., "validation", "authentication").
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
+   * Creates an error of the type, from an options object or from the legacy
+   * positional arguments of the type (e.g., `statusCode, message, error,
+   * data, logger` for ApiError).
+   * @param {object} [options]
+   * @param {number} [options.statusCode] - HTTP status code, defaults to the type's status.
+   * @param {string} [options.message] - Error message, defaults to the type's message.
+   * @param {object|null} [options.error=null] - Detailed error.
+   * @param {object|null} [options.data=null] - Additional error-related data.
+   * @param {Logger} [options.logger=null] - Logger payload, filled from the type's code and category.
+   * @param {*} [options.cause] - The error that caused this one.
    */
-  constructor(
-    statusCode = 500,
-    message = "File system error",
-    path = null,
-    error = null,
-    logger = null
-  ) {
-    super(statusCode, message, error, null, logger);
-    this.name = "File system operation error";
-    this.path = path;
+  constructor(...args) {
+    const definition = new.target.definition;
+    const options = readErrorOptions(definition, args);
+    super(
+      options.message ?? definition.message,
+      options.cause !== undefined ? { cause: options.cause } : undefined
+    );
+    this.name = definition.errorName;
+    this.statusCode = options.statusCode ?? definition.status;
+    this.error = options.error ?? null;
+    this.data = options.data ?? null;
+    definition.fields.forEach((field) => {
+      this[field] = options[field] ?? null;
+    });
+    this.logger = withTypeDefaults(options.logger ?? null, definition);
+    // Kept after the logger is cleared, to reference the entry in responses
+    this.code = this.logger?.code ?? definition.code;
   }
-}
 
-class GitError extends ApiError {
   /**
-   * Creates a GitError instance.
-   * @param {number} [statusCode=500] - HTTP status code for the error.
-   * @param {string} [message="Git operation failed"] - Error message.
-   * @param {string|null} [log=null] - Additional log details.
-   * @param {string|null} [path=null] - Path of the git repository.
-   * @param {string|null} [command=null] - Git command that caused the error.
-   * @param {object|null} [error=null] - Detailed error type (e.g., "validation", "authentication").
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
+   * Checks whether a value is an error of this type or of a subtype, also
+   * recognizing serialized errors (e.g., from `toJSON`) by their `type`.
+   * @param {*} error
+   * @returns {boolean}
    */
-  constructor(
-    statusCode = 500,
-    message = "Git operation failed",
-    log = null,
-    path = null,
-    command = null,
-    error = null,
-    logger = null
-  ) {
-    super(statusCode, message, error, null, logger);
-    this.name = "Git error";
-    this.log = log;
-    this.path = path;
-    this.command = command;
+  static is(error) {
+    if (error instanceof this) return true;
+    const errorType = errorTypes.get(error?.type);
+    return Boolean(
+      errorType && (errorType === this || errorType.prototype instanceof this)
+    );
   }
-}
 
-class AuthError extends ApiError {
   /**
-   * Creates an AuthError instance.
-   * @param {number} [statusCode=401] - HTTP status code for the error.
-   * @param {string} [message="Authentication failed"] - Error message.
-   * @param {object|null} [error=null] - Detailed error type (e.g., "validation", "authentication").
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
+   * Creates an error of this type from a catalog code, taking its HTTP status,
+   * category, context and templated message from `log_codes.json`.
+   * @param {string} code - The log code (e.g., "USAGE_QUOTA_EXCEEDED").
+   * @param {object} [options]
+   * @param {object} [options.params] - Values for the code's message template.
+   * @param {string} [options.context] - Overrides the code's default context.
+   * @param {number} [options.statusCode] - Overrides the code's HTTP status.
+   * @param {object|null} [options.error=null] - Detailed error.
+   * @param {object|null} [options.data=null] - Additional error-related data.
+   * @returns {ApiError}
    */
-  constructor(
-    statusCode = 401,
-    message = "Authentication failed",
-    error = null,
-    logger = null
-  ) {
-    super(statusCode, message, error, null, logger);
-    this.name = "Authentication error";
+  static fromCode(code, { params, context, statusCode, ...options } = {}) {
+    const definition = getLogCode(code);
+    return new this({
+      ...options,
+      statusCode: statusCode ?? definition?.status ?? this.definition.status,
+      message: formatCodeMessage(code, params) ?? code,
+      logger: { code, context, ...(params && { params }) },
+    });
   }
-}
 
-class DataBaseError extends ApiError {
   /**
-   * Creates a DataBaseError instance.
-   * @param {number} [statusCode=500] - HTTP status code for the error.
-   * @param {string} [message="Database operation failed"] - Error message.
-   * @param {string|null} [error=null] - Database-specific error details.
-   * @param {object|null} [data=null] - Additional error-related data.
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
+   * Serializes the error for JSON output, without stacks and logger payload.
+   * @returns {object}
    */
-  constructor(
-    statusCode = 500,
-    message = "Database operation failed",
-    error = null,
-    data = null,
-    logger = null
-  ) {
-    super(statusCode, message, error, data, logger);
-    this.name = "DataBase error";
+  toJSON() {
+    return serializeError(this, { includeStack: false });
   }
 }
 
-class QlikError extends ApiError {
-  /**
-   * Creates a QlikError instance.
-   * @param {number} [statusCode=500] - HTTP status code for the error.
-   * @param {string} [message="Qlik Sense error occurred"] - Error message.
-   * @param {object|null} [error=null] - Qlik-specific error details.
-   * @param {object|null} [data=null] - Additional error-related data.
-   * @param {Logger} [logger=null] - Logger instance for logging errors.
-   */
-  constructor(
-    statusCode = 500,
-    message = "Qlik Sense error occurred",
-    error = null,
-    data = null,
-    logger = null
-  ) {
-    super(statusCode, message, error, data, logger);
-    this.name = "Qlik sense error";
+errorTypes.set(ApiError.definition.name, ApiError);
+
+/**
+ * Declares an error type and registers it. The type is an `ApiError`
+ * subclass (or a subclass of `parent`) whose constructor takes an options
+ * object with the type's extra fields, and is automatically handled by
+ * `errorLogger` and `errorHandler`.
+ * @param {ErrorTypeDefinition & {parent?: typeof ApiError}} definition
+ * @returns {typeof ApiError} - The error class.
+ * @throws {Error} - If a type with the same name is already registered.
+ */
+const defineErrorType = ({ parent = ApiError, ...definition }) => {
+  if (errorTypes.has(definition.name)) {
+    throw new Error(`Error type "${definition.name}" is already defined.`);
   }
-}
+  const fields = [...parent.definition.fields, ...(definition.fields || [])];
+  const { [definition.name]: ErrorType } = {
+    [definition.name]: class extends parent {
+      static definition = {
+        ...parent.definition,
+        errorName: definition.name,
+        ...definition,
+        fields,
+        parameters: definition.parameters || [
+          "statusCode",
+          "message",
+          ...fields,
+          "error",
+          "data",
+          "logger",
+        ],
+      };
+    },
+  };
+  errorTypes.set(definition.name, ErrorType);
+  return ErrorType;
+};
+
+/**
+ * Returns the registered error type of a name.
+ * @param {string} name - Class name of the type (e.g., "GitError").
+ * @returns {typeof ApiError|undefined}
+ */
+const getErrorType = (name) => errorTypes.get(name);
+
+/**
+ * Returns the type definition of an error, for errors of registered types.
+ * @param {*} error
+ * @returns {ErrorTypeDefinition|undefined}
+ */
+const getErrorDefinition = (error) =>
+  error instanceof ApiError ? error.constructor.definition : undefined;
+
+const ValidationError = defineErrorType({
+  name: "ValidationError",
+  errorName: "Validation error",
+  status: 400,
+  message: "Validation failure",
+  category: "validation",
+  code: "VALIDATION_FAILED",
+  parameters: ["statusCode", "message", "logger"],
+  problem: {
+    type: "validation-error",
+    title: "Validation failed",
+    detail: "The request is invalid.",
+  },
+});
+
+const FS_Error = defineErrorType({
+  name: "FS_Error",
+  errorName: "File system operation error",
+  message: "File system error",
+  category: "system",
+  code: "FS_OPERATION_FAILED",
+  fields: ["path"],
+  parameters: ["statusCode", "message", "path", "error", "logger"],
+  problem: {
+    type: "file-system-error",
+    title: "File system error",
+    detail: "A file operation failed on the server.",
+  },
+  handle: (error) => {
+    console.error("-------- File System Error --------", { path: error.path });
+  },
+});
+
+const GitError = defineErrorType({
+  name: "GitError",
+  errorName: "Git error",
+  message: "Git operation failed",
+  category: "system",
+  code: "GIT_OPERATION_FAILED",
+  fields: ["log", "path", "command"],
+  parameters: [
+    "statusCode",
+    "message",
+    "log",
+    "path",
+    "command",
+    "error",
+    "logger",
+  ],
+  problem: {
+    type: "repository-error",
+    title: "Repository operation failed",
+    detail: "A repository operation failed on the server.",
+  },
+  handle: (error) => {
+    console.error("-------- Git Error --------", {
+      log: error.log,
+      path: error.path,
+      command: error.command,
+    });
+    error.statusCode = 500; // Git errors are always server errors
+  },
+});
+
+const AuthError = defineErrorType({
+  name: "AuthError",
+  errorName: "Authentication error",
+  status: 401,
+  message: "Authentication failed",
+  category: "authentication",
+  code: "AUTH_FAILED",
+  parameters: ["statusCode", "message", "error", "logger"],
+  problem: {
+    type: "authentication-error",
+    title: "Authentication failed",
+    detail: "The request could not be authenticated.",
+  },
+});
+
+const DataBaseError = defineErrorType({
+  name: "DataBaseError",
+  errorName: "DataBase error",
+  message: "Database operation failed",
+  category: "system",
+  code: "DATABASE_OPERATION_FAILED",
+  problem: {
+    type: "database-error",
+    title: "Database error",
+    detail: "A database operation failed on the server.",
+  },
+});
+
+const QlikError = defineErrorType({
+  name: "QlikError",
+  errorName: "Qlik sense error",
+  message: "Qlik Sense error occurred",
+  category: "system",
+  code: "QLIK_REQUEST_FAILED",
+  problem: {
+    type: "qlik-error",
+    title: "Qlik Sense error",
+    detail: "The Qlik Sense service reported an error.",
+  },
+});
 
 /**
  * CustomError class that extends the built-in Error object
@@ -192,6 +374,9 @@ class CustomError extends Error {
 
 export {
   ApiError,
+  defineErrorType,
+  getErrorType,
+  getErrorDefinition,
   ValidationError,
   FS_Error,
   GitError,
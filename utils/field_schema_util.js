@@ -0,0 +1,228 @@
+/**
+ * Field types a required field definition can declare.
+ */
+const FIELD_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "object",
+  "array",
+  "any",
+];
+
+/**
+ * Keys allowed in a required field definition.
+ */
+const FIELD_DEFINITION_KEYS = [
+  "path",
+  "type",
+  "enum",
+  "pattern",
+  "maxLength",
+  "required",
+];
+
+/**
+ * Normalizes an entry of `requiredFields`/`customRequiredFields`.
+ * A plain string is shorthand for a required field of any type, checked for
+ * presence only (`{ path: "code" }`).
+ *
+ * @param {string|Object} definition - The field definition from the configuration.
+ * @returns {{path: string, segments: string[], type: string, enum?: Array, pattern?: RegExp, maxLength?: number, required: boolean, shorthand: boolean}}
+ */
+const normalizeFieldDefinition = (definition) => {
+  if (typeof definition === "string") {
+    return {
+      path: definition,
+      segments: definition.split("."),
+      type: "any",
+      required: true,
+      shorthand: true,
+    };
+  }
+  const { path, type = "any", pattern, required = true } = definition;
+  return {
+    ...definition,
+    path,
+    segments: path.split("."),
+    type,
+    pattern: pattern === undefined ? undefined : new RegExp(pattern),
+    required,
+    shorthand: false,
+  };
+};
+
+/**
+ * Validates a field definition from `loggers.json`.
+ *
+ * @param {string|Object} definition - The field definition from the configuration.
+ * @param {string} location - Where the definition was found, for error messages.
+ * @throws {Error} - If the definition is invalid.
+ */
+const validateFieldDefinition = (definition, location) => {
+  if (typeof definition === "string") {
+    if (!definition) throw new Error(`Empty field path in ${location}.`);
+    return;
+  }
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Invalid field definition in ${location}.`);
+  }
+
+  const { path, type, pattern, maxLength, required } = definition;
+  const fieldLocation = `${location} (${path})`;
+  if (typeof path !== "string" || !path) {
+    throw new Error(`Missing field \`path\` in ${location}.`);
+  }
+  const unknownKeys = Object.keys(definition).filter(
+    (key) => !FIELD_DEFINITION_KEYS.includes(key)
+  );
+  if (unknownKeys.length) {
+    throw new Error(
+      `Unknown field definition keys in ${fieldLocation}: ${unknownKeys.join(
+        ", "
+      )}`
+    );
+  }
+  if (type !== undefined && !FIELD_TYPES.includes(type)) {
+    throw new Error(`Unknown field type "${type}" in ${fieldLocation}.`);
+  }
+  if (definition.enum !== undefined && !Array.isArray(definition.enum)) {
+    throw new Error(`\`enum\` must be an array in ${fieldLocation}.`);
+  }
+  if (pattern !== undefined) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(
+        `Invalid \`pattern\` in ${fieldLocation}: ${error.message}`
+      );
+    }
+  }
+  if (
+    maxLength !== undefined &&
+    (!Number.isInteger(maxLength) || maxLength < 0)
+  ) {
+    throw new Error(
+      `\`maxLength\` must be a non-negative integer in ${fieldLocation}.`
+    );
+  }
+  if (required !== undefined && typeof required !== "boolean") {
+    throw new Error(`\`required\` must be a boolean in ${fieldLocation}.`);
+  }
+};
+
+/**
+ * Resolves a dotted path (e.g., "metadata.user.userId") in an object.
+ *
+ * @param {Object} object - The object to read from.
+ * @param {string[]} segments - The path segments.
+ * @returns {{found: boolean, value: *}}
+ */
+const resolveFieldPath = (object, segments) => {
+  let value = object;
+  for (const segment of segments) {
+    if (!value || typeof value !== "object" || !(segment in value)) {
+      return { found: false, value: undefined };
+    }
+    value = value[segment];
+  }
+  return { found: true, value };
+};
+
+/**
+ * Describes the type of a value using the field type vocabulary.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const describeType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Checks whether a value matches a declared field type.
+ *
+ * @param {*} value
+ * @param {string} type - The declared field type.
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case "any":
+      return true;
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "object":
+      return describeType(value) === "object";
+    default:
+      return describeType(value) === type;
+  }
+};
+
+/**
+ * Checks a single field of the metadata against its definition.
+ *
+ * @param {ReturnType<typeof normalizeFieldDefinition>} field - The normalized field definition.
+ * @param {Object} metadata - The metadata object passed to the logger.
+ * @returns {string|null} - A description of the violation, or null if the field is valid.
+ */
+const checkField = (field, metadata) => {
+  const { found, value } = resolveFieldPath(metadata, field.segments);
+
+  // Shorthand fields keep the historical presence-only semantics
+  if (field.shorthand) return found ? null : `"${field.path}" is required`;
+
+  if (!found || value === undefined || value === null) {
+    return field.required ? `"${field.path}" is required` : null;
+  }
+  if (!matchesType(value, field.type)) {
+    return `"${field.path}" must be of type ${field.type} (got ${describeType(
+      value
+    )})`;
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    return `"${field.path}" must be one of ${field.enum
+      .map((option) => JSON.stringify(option))
+      .join(", ")} (got ${JSON.stringify(value)})`;
+  }
+  if (field.pattern && !field.pattern.test(String(value))) {
+    return `"${field.path}" must match pattern ${field.pattern}`;
+  }
+  if (
+    field.maxLength !== undefined &&
+    (typeof value === "string" || Array.isArray(value)) &&
+    value.length > field.maxLength
+  ) {
+    return `"${field.path}" must be at most ${field.maxLength} long (got ${value.length})`;
+  }
+  return null;
+};
+
+/**
+ * Merges common and custom field definitions into normalized fields.
+ * A custom definition overrides a common definition with the same path.
+ *
+ * @param {Array<string|Object>} commonFields - Definitions from `common.requiredFields`.
+ * @param {Array<string|Object>} customFields - Definitions from `customRequiredFields`.
+ * @returns {Array<ReturnType<typeof normalizeFieldDefinition>>}
+ */
+const mergeFieldDefinitions = (commonFields, customFields) => {
+  const fields = new Map();
+  [...commonFields, ...customFields].forEach((definition) => {
+    const field = normalizeFieldDefinition(definition);
+    fields.set(field.path, field);
+  });
+  return [...fields.values()];
+};
+
+export {
+  FIELD_TYPES,
+  validateFieldDefinition,
+  mergeFieldDefinitions,
+  checkField,
+};
@@ -0,0 +1,302 @@
+import axios, { AxiosHeaders } from "axios";
+import { ApiError } from "./error_util.js";
+import { formatCodeMessage } from "./log_code_util.js";
+import { loggerRegistry, logsCategory } from "./pino_util.js";
+import {
+  REDACTED_CENSOR,
+  createValueRedactor,
+  sanitizeUrl,
+} from "./redaction_util.js";
+import { REQUEST_ID_HEADER, getRequestId } from "./request_context_util.js";
+
+const DEFAULT_CONTEXT = "outbound http request";
+
+/**
+ * Body fields censored when the client is created without `redactFields`,
+ * on top of those `loggers.json` configures for its category.
+ */
+const DEFAULT_BODY_REDACT_FIELDS = [
+  "password",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "clientSecret",
+  "apiKey",
+];
+
+/**
+ * Headers carrying credentials, censored in every entry.
+ */
+const SENSITIVE_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+];
+
+/**
+ * Methods that are safe to send again after a failed attempt.
+ */
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+/**
+ * Upstream statuses worth a retry: the server may answer the next attempt.
+ */
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+const TIMEOUT_ERROR_CODES = new Set(["ECONNABORTED", "ETIMEDOUT"]);
+
+const headerRedactor = createValueRedactor({
+  maskFields: SENSITIVE_HEADERS.map((header) => ({
+    path: header,
+    strategy: "censor",
+  })),
+});
+
+/**
+ * Returns the names of the fields `loggers.json` redacts for a category,
+ * e.g., "secretKey" for "metadata.secretKey".
+ *
+ * @param {string} category
+ * @returns {Set<string>}
+ */
+const getConfiguredRedactNames = (category) =>
+  new Set(
+    loggerRegistry
+      .getRedactFields(category)
+      .map((path) =>
+        path
+          .split(/[.[\]"']+/)
+          .filter(Boolean)
+          .pop()
+      )
+      .filter((name) => name && name !== "*")
+  );
+
+/**
+ * Copies a body with the values of the named fields censored, at any depth.
+ *
+ * @param {*} value - The body, or a value nested in it.
+ * @param {Set<string>} names - Names of the fields to censor.
+ * @returns {*}
+ */
+const censorNamedFields = (value, names) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => censorNamedFields(item, names));
+  }
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([name, fieldValue]) => [
+      name,
+      names.has(name) ? REDACTED_CENSOR : censorNamedFields(fieldValue, names),
+    ])
+  );
+};
+
+/**
+ * Copies headers into a plain object with lower-case names, credentials censored.
+ *
+ * @param {AxiosHeaders|Object|undefined} headers
+ * @returns {Object}
+ */
+const redactHeaders = (headers) =>
+  headerRedactor.redactEntry(
+    Object.fromEntries(
+      Object.entries(AxiosHeaders.from(headers || {}).toJSON()).map(
+        ([name, value]) => [name.toLowerCase(), value]
+      )
+    )
+  );
+
+/**
+ * Creates an axios instance that logs every outbound request, once it
+ * completes, to the logger of a category: method, URL (without secrets),
+ * status, duration, retry count, and headers and bodies with credentials,
+ * `redactFields` and the fields `loggers.json` redacts for the category
+ * censored. The correlation id of the incoming request
+ * is sent along, and failures are rejected as `errorType` errors whose
+ * logger payload is filled for `errorLogger`.
+ *
+ * @param {Object} [options] - Any other option is passed to `axios.create`.
+ * @param {string} [options.category=logsCategory.SYSTEM] - Category of the logger the requests are logged to.
+ * @param {string} [options.context="outbound http request"] - Context of the entries.
+ * @param {string[]} [options.redactFields] - Body fields to censor, `*` matches any key (e.g., "user.password", "*.token").
+ * @param {number} [options.retries=0] - Extra attempts of idempotent requests failing on the network or with 502, 503 or 504.
+ * @param {number} [options.retryDelayMs=200] - Delay before the first retry, doubled on each next one.
+ * @param {number} [options.maxBodyLength=2048] - Bodies serializing to more characters are not logged.
+ * @param {typeof ApiError} [options.errorType=ApiError] - Error type failures are converted to.
+ * @returns {import("axios").AxiosInstance}
+ */
+const createHttpClient = ({
+  category = logsCategory.SYSTEM,
+  context = DEFAULT_CONTEXT,
+  redactFields = DEFAULT_BODY_REDACT_FIELDS,
+  retries = 0,
+  retryDelayMs = 200,
+  maxBodyLength = 2048,
+  errorType = ApiError,
+  ...axiosConfig
+} = {}) => {
+  const client = axios.create(axiosConfig);
+  const bodyRedactor = createValueRedactor({
+    maskFields: redactFields.map((path) => ({
+      path: `body.${path}`,
+      strategy: "censor",
+    })),
+  });
+
+  /**
+   * Reduces a body to what can be logged.
+   */
+  const summarizeBody = (body) => {
+    if (body === undefined || body === null || body === "") return undefined;
+    const isPlain =
+      typeof body === "string" ||
+      Array.isArray(body) ||
+      Object.getPrototypeOf(body) === Object.prototype;
+    if (!isPlain) return `[${body.constructor?.name || typeof body}]`;
+
+    // Read on each request, so config reloads apply
+    const redacted = censorNamedFields(
+      bodyRedactor ? bodyRedactor.redactEntry({ body }).body : body,
+      getConfiguredRedactNames(category)
+    );
+    const length =
+      typeof redacted === "string"
+        ? redacted.length
+        : JSON.stringify(redacted).length;
+    return length > maxBodyLength
+      ? `[Body of ${length} characters not logged]`
+      : redacted;
+  };
+
+  /**
+   * Logs a completed request, never failing the request itself.
+   */
+  const logRequest = (config, { response, error }) => {
+    try {
+      const logger = loggerRegistry.forCategory(category);
+      if (!logger) return;
+
+      const { startedAt, retryCount, requestBody } = config.metadata;
+      const method = config.method.toUpperCase();
+      const url = sanitizeUrl(client.getUri(config));
+      const status = response?.status;
+      const durationMs = Math.round(performance.now() - startedAt);
+      const reason =
+        error &&
+        (response
+          ? `Responded with status ${status}`
+          : error.code || error.message);
+      const code = error ? "HTTP_CLIENT_REQUEST_FAILED" : "HTTP_CLIENT_REQUEST";
+
+      // `method` is kept in `request`, the top-level one is the incoming request's
+      logger[error ? "warn" : "info"](
+        {
+          code,
+          context,
+          request: {
+            method,
+            url,
+            headers: redactHeaders(config.headers),
+            body: requestBody,
+          },
+          status,
+          durationMs,
+          retryCount,
+          ...(response && {
+            response: {
+              headers: redactHeaders(response.headers),
+              body: summarizeBody(response.data),
+            },
+          }),
+          ...(error && { reason }),
+        },
+        formatCodeMessage(code, { method, url, status, durationMs, reason })
+      );
+    } catch (logError) {
+      console.error("Error logging outbound request:", logError);
+    }
+  };
+
+  /**
+   * Checks whether a failed request can be sent again.
+   */
+  const shouldRetry = (error, config) =>
+    config.metadata.retryCount < retries &&
+    !axios.isCancel(error) &&
+    IDEMPOTENT_METHODS.has(config.method.toUpperCase()) &&
+    (!error.response || RETRYABLE_STATUSES.has(error.response.status));
+
+  /**
+   * Converts a failed request into an error of the client's type.
+   */
+  const toApiError = (error, config) => {
+    const status = error.response?.status;
+    const method = config.method.toUpperCase();
+    const url = sanitizeUrl(client.getUri(config));
+    return new errorType({
+      // Upstream client errors are passed on, other failures are gateway errors
+      statusCode:
+        status && status < 500
+          ? status
+          : TIMEOUT_ERROR_CODES.has(error.code)
+          ? 504
+          : 502,
+      message: formatCodeMessage("HTTP_CLIENT_ERROR", { method, url }),
+      cause: error,
+      logger: {
+        category,
+        code: "HTTP_CLIENT_ERROR",
+        context,
+        params: { method, url },
+        status,
+        retryCount: config.metadata.retryCount,
+      },
+    });
+  };
+
+  client.interceptors.request.use((config) => {
+    const requestId = getRequestId();
+    if (requestId && !config.headers.has(REQUEST_ID_HEADER)) {
+      config.headers.set(REQUEST_ID_HEADER, requestId);
+    }
+    // Retries keep the metadata of the first attempt
+    config.metadata ??= {
+      startedAt: performance.now(),
+      retryCount: 0,
+      requestBody: summarizeBody(config.data),
+    };
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      logRequest(response.config, { response });
+      return response;
+    },
+    async (error) => {
+      const { config } = error;
+      if (!config?.metadata) throw error;
+
+      if (shouldRetry(error, config)) {
+        const { retryCount } = config.metadata;
+        await new Promise((resolve) =>
+          setTimeout(resolve, retryDelayMs * 2 ** retryCount)
+        );
+        return client.request({
+          ...config,
+          metadata: { ...config.metadata, retryCount: retryCount + 1 },
+        });
+      }
+
+      logRequest(config, { response: error.response, error });
+      throw toApiError(error, config);
+    }
+  );
+
+  return client;
+};
+
+export { createHttpClient };
@@ -0,0 +1,188 @@
+import { closeLoggers, loggers } from "./pino_util.js";
+
+/**
+ * Time allowed for draining requests and flushing loggers before the process
+ * is forced to exit. Overridable through `SHUTDOWN_TIMEOUT_MS`.
+ */
+const DEFAULT_SHUTDOWN_TIMEOUT_MS =
+  Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+/**
+ * Cleanup hooks run after the HTTP server has drained, before the loggers
+ * are closed (e.g. custom transport workers).
+ * @type {Map<string, () => (Promise<void>|void)>}
+ */
+const shutdownHooks = new Map();
+
+let shutdownPromise = null;
+
+/**
+ * Registers a cleanup hook run on shutdown.
+ * Registering the same name again replaces the previous hook.
+ *
+ * @param {string} name - Hook name, used in error reports.
+ * @param {() => (Promise<void>|void)} hook - The cleanup function.
+ * @returns {() => void} - Unregisters the hook.
+ */
+const registerShutdownHook = (name, hook) => {
+  shutdownHooks.set(name, hook);
+  return () => {
+    if (shutdownHooks.get(name) === hook) shutdownHooks.delete(name);
+  };
+};
+
+/**
+ * Whether a shutdown is in progress.
+ *
+ * @returns {boolean}
+ */
+const isShuttingDown = () => shutdownPromise !== null;
+
+/**
+ * Stops the HTTP server from accepting connections and waits for in-flight
+ * requests to complete. Idle keep-alive connections are closed right away.
+ *
+ * @param {import("http").Server|null} server - The HTTP server.
+ * @returns {Promise<void>}
+ */
+const closeServer = (server) =>
+  new Promise((resolve) => {
+    if (!server?.listening) return resolve();
+    server.close((error) => {
+      if (error) console.error("Error closing HTTP server:", error);
+      resolve();
+    });
+    server.closeIdleConnections?.();
+  });
+
+/**
+ * Runs every registered shutdown hook, reporting failures without aborting.
+ *
+ * @returns {Promise<void>}
+ */
+const runShutdownHooks = async () => {
+  await Promise.all(
+    [...shutdownHooks].map(async ([name, hook]) => {
+      try {
+        await hook();
+      } catch (error) {
+        loggers.systemLogger?.warn(
+          {
+            code: "SHUTDOWN_HOOK_FAILED",
+            context: "graceful shutdown",
+            reason: error.message,
+            hook: name,
+          },
+          `Shutdown hook "${name}" failed`
+        );
+      }
+    })
+  );
+};
+
+/**
+ * Gracefully shuts the process down: drains the HTTP server, runs the
+ * shutdown hooks, flushes and ends every logger transport, then exits.
+ * If this takes longer than the timeout, open connections are destroyed and
+ * the process exits anyway. Calling it again returns the pending shutdown.
+ *
+ * @param {Object} options
+ * @param {import("http").Server|null} [options.server=null] - The HTTP server to drain.
+ * @param {string} options.reason - Why the process is shutting down (e.g., "SIGTERM").
+ * @param {number} [options.exitCode=0] - Exit code of the process.
+ * @param {number} [options.timeoutMs=DEFAULT_SHUTDOWN_TIMEOUT_MS] - Time allowed before forcing the exit.
+ * @returns {Promise<void>}
+ */
+const shutdown = ({
+  server = null,
+  reason,
+  exitCode = 0,
+  timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS,
+}) => {
+  if (shutdownPromise) return shutdownPromise;
+
+  // Transport workers are unref'd, the event loop may drain before the
+  // final `process.exit`; keep the intended exit code in that case too
+  process.exitCode = exitCode;
+
+  const forceExitTimer = setTimeout(() => {
+    // Loggers may already be closed, fall back to the console
+    console.error(
+      `Graceful shutdown timed out after ${timeoutMs}ms, forcing exit`
+    );
+    server?.closeAllConnections?.();
+    process.exit(exitCode || 1);
+  }, timeoutMs);
+  forceExitTimer.unref();
+
+  loggers.systemLogger?.info(
+    {
+      code: "SHUTDOWN_STARTED",
+      context: "graceful shutdown",
+      params: { reason },
+      exitCode,
+    },
+    `Shutting down on ${reason}`
+  );
+
+  shutdownPromise = (async () => {
+    await closeServer(server);
+    await runShutdownHooks();
+    await closeLoggers();
+    clearTimeout(forceExitTimer);
+    process.exit(exitCode);
+  })();
+  return shutdownPromise;
+};
+
+/**
+ * Wires the process signals and fatal errors to the graceful shutdown.
+ * - SIGTERM/SIGINT shut down with exit code 0.
+ * - Uncaught exceptions are logged as fatal and shut down with exit code 1.
+ * - Unhandled rejections are logged as errors; the process keeps running.
+ *
+ * @param {import("http").Server} server - The HTTP server to drain.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=DEFAULT_SHUTDOWN_TIMEOUT_MS] - Time allowed before forcing the exit.
+ */
+const setupGracefulShutdown = (
+  server,
+  { timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS } = {}
+) => {
+  ["SIGTERM", "SIGINT"].forEach((signal) => {
+    process.on(signal, () => shutdown({ server, reason: signal, timeoutMs }));
+  });
+
+  process.on("uncaughtException", (error) => {
+    console.log("uncaught exception", error);
+    loggers.systemLogger?.fatal(
+      { code: "UNCAUGHT_EXCEPTION", context: "uncaught exception", error },
+      "Uncaught Exception"
+    );
+    shutdown({
+      server,
+      reason: "uncaughtException",
+      exitCode: 1,
+      timeoutMs,
+    });
+  });
+
+  process.on("unhandledRejection", (reason) => {
+    console.log("unhandled rejection", reason);
+    loggers.systemLogger?.error(
+      {
+        code: "UNHANDLED_REJECTION",
+        context: "unhandled rejection",
+        error: reason,
+      },
+      "Unhandled Rejection"
+    );
+  });
+};
+
+export {
+  registerShutdownHook,
+  isShuttingDown,
+  shutdown,
+  setupGracefulShutdown,
+};
@@ -0,0 +1,164 @@
+import { AssertionError } from "node:assert";
+import pino from "pino";
+
+/**
+ * @typedef {object} CapturedLog
+ * @property {string} logger - Key of the logger that wrote the entry (e.g., "systemLogger").
+ * @property {string} category - Category of the logger.
+ * @property {string} level - Level label of the entry (e.g., "warn").
+ * @property {object} entry - The entry as written, after redaction and serialization.
+ */
+
+/**
+ * @typedef {object} LogExpectation
+ * @property {string} [logger] - Key of the logger.
+ * @property {string} [level] - Level label.
+ * @property {string} [code] - Log code of the entry.
+ * @property {string|RegExp} [msg] - The message, or a pattern it matches.
+ * @property {object} [fields] - Fields the entry contains, objects are matched partially.
+ */
+
+/**
+ * Entries written by the capture destinations, oldest first.
+ * @type {CapturedLog[]}
+ */
+const capturedLogs = [];
+
+/**
+ * Creates an in-memory destination for a logger, to pass as the
+ * `createDestination` option of `createLoggerRegistry`. The lines are written
+ * synchronously, so an entry can be asserted as soon as it is logged.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @param {string} category - The logger category (e.g., "authentication").
+ * @param {Object<string, number>} [levelValues=pino.levels.values] - The levels of the logger, custom ones included.
+ * @returns {{write: (line: string) => void}}
+ */
+const createCaptureDestination = (
+  loggerKey,
+  category,
+  levelValues = pino.levels.values
+) => {
+  const labels = Object.fromEntries(
+    Object.entries(levelValues).map(([label, value]) => [value, label])
+  );
+  return {
+    write: (line) => {
+      const entry = JSON.parse(line);
+      capturedLogs.push({
+        logger: loggerKey,
+        category,
+        level: labels[entry.level],
+        entry,
+      });
+    },
+  };
+};
+
+/**
+ * Checks whether a value contains the expected one: objects are matched on
+ * the expected keys only, other values must be equal.
+ *
+ * @param {*} actual
+ * @param {*} expected
+ * @returns {boolean}
+ */
+const matchesPartially = (actual, expected) => {
+  if (expected instanceof RegExp) {
+    return typeof actual === "string" && expected.test(actual);
+  }
+  if (expected === null || typeof expected !== "object") {
+    return Object.is(actual, expected);
+  }
+  if (actual === null || typeof actual !== "object") return false;
+  return Object.entries(expected).every(([key, value]) =>
+    matchesPartially(actual[key], value)
+  );
+};
+
+/**
+ * Checks whether a captured entry meets an expectation.
+ *
+ * @param {CapturedLog} log
+ * @param {LogExpectation} expectation
+ * @returns {boolean}
+ */
+const matchesExpectation = (
+  { logger, level, entry },
+  { logger: expectedLogger, level: expectedLevel, code, msg, fields = {} }
+) =>
+  (expectedLogger === undefined || logger === expectedLogger) &&
+  (expectedLevel === undefined || level === expectedLevel) &&
+  (code === undefined || entry.code === code) &&
+  (msg === undefined || matchesPartially(entry.msg, msg)) &&
+  matchesPartially(entry, fields);
+
+/**
+ * Returns the captured entries, optionally only those meeting an expectation.
+ *
+ * @param {LogExpectation} [expectation={}]
+ * @returns {CapturedLog[]}
+ */
+const getLogs = (expectation = {}) =>
+  capturedLogs.filter((log) => matchesExpectation(log, expectation));
+
+/**
+ * Drops every captured entry, typically in a `beforeEach` hook.
+ */
+const clearLogs = () => {
+  capturedLogs.length = 0;
+};
+
+/**
+ * Runs a function and returns the entries logged while it ran. Loggers
+ * writing from response `close` listeners are waited for.
+ *
+ * @param {() => any|Promise<any>} fn
+ * @returns {Promise<CapturedLog[]>}
+ */
+const captureLogs = async (fn) => {
+  const start = capturedLogs.length;
+  await fn();
+  await new Promise((resolve) => setImmediate(resolve));
+  return capturedLogs.slice(start);
+};
+
+/**
+ * Asserts that an entry meeting an expectation was captured.
+ *
+ * @param {LogExpectation} expectation
+ * @param {CapturedLog[]} [logs] - Entries to search, defaults to every captured entry.
+ * @returns {CapturedLog} - The first matching entry.
+ * @throws {AssertionError} - If no entry matches, listing the captured ones.
+ */
+const expectLogged = (expectation, logs = capturedLogs) => {
+  const log = logs.find((candidate) =>
+    matchesExpectation(candidate, expectation)
+  );
+  if (log) return log;
+
+  const captured = logs
+    .map(
+      ({ logger, level, entry }) =>
+        `  - ${logger} ${level} ${entry.code ?? "(no code)"}: ${
+          entry.msg ?? ""
+        }`
+    )
+    .join("\n");
+  throw new AssertionError({
+    message: `Expected a log entry matching ${JSON.stringify(
+      expectation,
+      (_key, value) => (value instanceof RegExp ? String(value) : value)
+    )}, captured ${logs.length} entries${captured ? `:\n${captured}` : ""}`,
+    expected: expectation,
+    operator: "expectLogged",
+  });
+};
+
+export {
+  createCaptureDestination,
+  captureLogs,
+  expectLogged,
+  getLogs,
+  clearLogs,
+};
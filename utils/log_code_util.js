@@ -0,0 +1,119 @@
+import pino from "pino";
+import LogCodes from "../config/log_codes.json" assert { type: "json" };
+
+/**
+ * How the wrapped loggers react to unknown or miscategorised codes:
+ * - "off": codes are not checked.
+ * - "flag": the entry is logged with a `codeIssues` field describing the problem.
+ * - "strict": the log call throws, like a missing required field.
+ */
+const CODE_ENFORCEMENT_MODES = ["off", "flag", "strict"];
+
+/**
+ * Category of codes that may be logged under any category.
+ */
+const ANY_CATEGORY = "*";
+
+/**
+ * Validates the code catalog.
+ *
+ * @param {Object} catalog - The `log_codes.json` catalog.
+ * @returns {Object} - The validated catalog.
+ * @throws {Error} - If the catalog or one of its codes is invalid.
+ */
+const validateCodeCatalog = (catalog) => {
+  if (!catalog?.codes || typeof catalog.codes !== "object") {
+    throw new Error("Invalid or missing `log_codes.json` catalog.");
+  }
+  Object.entries(catalog.codes).forEach(([code, definition]) => {
+    const { category, level, message, status } = definition || {};
+    if (typeof category !== "string" || !category) {
+      throw new Error(`Missing category for log code "${code}".`);
+    }
+    if (!Object.hasOwn(pino.levels.values, level)) {
+      throw new Error(`Invalid level "${level}" for log code "${code}".`);
+    }
+    if (typeof message !== "string") {
+      throw new Error(`Missing message template for log code "${code}".`);
+    }
+    if (
+      status !== undefined &&
+      (!Number.isInteger(status) || status < 100 || status > 599)
+    ) {
+      throw new Error(
+        `Invalid HTTP status "${status}" for log code "${code}".`
+      );
+    }
+  });
+  return catalog;
+};
+
+const { codes: codeCatalog } = validateCodeCatalog(LogCodes);
+
+/**
+ * Returns the catalog definition of a code.
+ *
+ * @param {string} code - The log code (e.g., "HEALTH_CHECK").
+ * @returns {{category: string, level: string, message: string, context?: string, status?: number}|undefined}
+ */
+const getLogCode = (code) =>
+  typeof code === "string" && Object.hasOwn(codeCatalog, code)
+    ? codeCatalog[code]
+    : undefined;
+
+/**
+ * Renders the message template of a code, replacing `{name}` placeholders
+ * with the matching params. Placeholders without a param are kept as-is.
+ *
+ * @param {string} code - The log code (e.g., "USAGE_QUOTA_EXCEEDED").
+ * @param {Object} [params={}] - Values for the template placeholders.
+ * @returns {string|undefined} - The message, or undefined for unknown codes.
+ */
+const formatCodeMessage = (code, params = {}) =>
+  getLogCode(code)?.message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params && Object.hasOwn(params, name) ? String(params[name]) : placeholder
+  );
+
+/**
+ * Checks a code against the catalog for the category it is logged under.
+ *
+ * @param {string} code - The log code (e.g., "HEALTH_CHECK").
+ * @param {string} category - The category of the logger used (e.g., "system").
+ * @returns {string[]} - Descriptions of the problems found, empty when the code is valid.
+ */
+const inspectLogCode = (code, category) => {
+  const definition = getLogCode(code);
+  if (!definition) return [`unknown code "${code}"`];
+  if (
+    category &&
+    definition.category !== ANY_CATEGORY &&
+    definition.category !== category
+  ) {
+    return [
+      `code "${code}" belongs to category "${definition.category}", not "${category}"`,
+    ];
+  }
+  return [];
+};
+
+/**
+ * Compiles a code pattern where `*` matches any sequence (e.g., "AUTH_*").
+ *
+ * @param {string} [pattern="*"] - The code or code pattern.
+ * @returns {RegExp}
+ */
+const compileCodePattern = (pattern = "*") =>
+  new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+
+export {
+  CODE_ENFORCEMENT_MODES,
+  getLogCode,
+  formatCodeMessage,
+  inspectLogCode,
+  compileCodePattern,
+};
@@ -0,0 +1,21 @@
+/**
+ * Root directory of the log files. The `path` of file transports is relative
+ * to it. Overridable through `LOGS_ROOT`.
+ */
+const LOGS_ROOT = process.env.LOGS_ROOT || "./logs";
+
+/**
+ * Checks whether a file of a folder belongs to a file transport: its active
+ * file (`info.log`), or a rotated (`info-2026-01-31.2.log`) or compressed
+ * (`info-2026-01-31.log.gz`) one.
+ *
+ * @param {string} fileName - Name of the file in the folder.
+ * @param {string} name - Base name of the transport files (e.g., "info").
+ * @returns {boolean}
+ */
+const isLogFileOf = (fileName, name) =>
+  new RegExp(`^${name}(-\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?)?\\.log(\\.gz)?$`).test(
+    fileName
+  );
+
+export { LOGS_ROOT, isLogFileOf };
@@ -0,0 +1,211 @@
+import {
+  loggers,
+  loggerRegistry,
+  logsCategory,
+  isValidLevel,
+  getLoggerConfiguredLevel,
+  getLoggerCategory,
+  getLevelValues,
+} from "./pino_util.js";
+import { ApiError, ValidationError } from "./error_util.js";
+import { runOutsideRequestContext } from "./request_context_util.js";
+
+/**
+ * Runtime level overrides, keyed by logger key, with their pending
+ * auto-revert if any.
+ * @type {Map<string, {level: string, timer?: NodeJS.Timeout, revertAt: string|null}>}
+ */
+const levelOverrides = new Map();
+
+/**
+ * Returns the live wrapped logger for a key.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @returns {import("pino").Logger} - The wrapped logger instance.
+ * @throws {ApiError} - If no logger is registered under the key.
+ */
+const getLiveLogger = (loggerKey) => {
+  const logger = Object.hasOwn(loggers, loggerKey) ? loggers[loggerKey] : null;
+  if (!logger) {
+    throw new ApiError(404, `Logger "${loggerKey}" not found`, null, null, {
+      category: logsCategory.SYSTEM,
+      code: "LOGGER_NOT_FOUND",
+      context: "runtime log level control",
+    });
+  }
+  return logger;
+};
+
+/**
+ * Describes the current level state of a logger.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @returns {{logger: string, category: string, level: string, configuredLevel: string, revertAt: string|null}}
+ * @throws {ApiError} - If no logger is registered under the key.
+ */
+const getLoggerLevel = (loggerKey) => ({
+  logger: loggerKey,
+  category: getLoggerCategory(loggerKey),
+  level: getLiveLogger(loggerKey).level,
+  configuredLevel: getLoggerConfiguredLevel(loggerKey),
+  revertAt: levelOverrides.get(loggerKey)?.revertAt || null,
+});
+
+/**
+ * Describes the current level state of every live logger.
+ *
+ * @returns {Array<ReturnType<typeof getLoggerLevel>>}
+ */
+const listLoggerLevels = () => Object.keys(loggers).map(getLoggerLevel);
+
+/**
+ * Forgets the override of a logger and cancels its auto-revert, if any.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ */
+const clearLevelOverride = (loggerKey) => {
+  clearTimeout(levelOverrides.get(loggerKey)?.timer);
+  levelOverrides.delete(loggerKey);
+};
+
+/**
+ * Restores the configured level of a logger once its TTL expires.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ */
+const revertLoggerLevel = (loggerKey) => {
+  levelOverrides.delete(loggerKey);
+  const logger = loggers[loggerKey];
+  if (!logger) return; // Logger was removed by a config reload meanwhile
+
+  const previousLevel = logger.level;
+  const level = getLoggerConfiguredLevel(loggerKey);
+  logger.level = level;
+
+  loggers.systemLogger?.info(
+    {
+      code: "LOGGER_LEVEL_REVERTED",
+      context: "runtime log level control",
+      loggerKey,
+      previousLevel,
+      currentLevel: level,
+    },
+    `Log level of ${loggerKey} reverted to ${level}`
+  );
+};
+
+/**
+ * Changes the level of a live logger, optionally reverting it to the
+ * configured level after a TTL. Every change is logged to `systemLogger`
+ * with the caller's identity. The override outlives config reloads that
+ * rebuild the logger.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @param {string} level - The new level (e.g., "trace", "silent").
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Seconds after which the configured level is restored.
+ * @param {string} [options.changedBy] - Who requested the change (e.g., the admin name).
+ * @returns {ReturnType<typeof getLoggerLevel>} - The new level state.
+ * @throws {ValidationError|ApiError} - If the level or TTL is invalid, or the logger is unknown.
+ */
+const setLoggerLevel = (loggerKey, level, { ttlSeconds, changedBy } = {}) => {
+  const logger = getLiveLogger(loggerKey);
+
+  if (typeof level !== "string" || !isValidLevel(level, getLevelValues())) {
+    throw new ValidationError(400, `Invalid log level "${level}"`, {
+      category: logsCategory.SYSTEM,
+      code: "LOGGER_LEVEL_INVALID",
+      context: "runtime log level control",
+      reason: "unknown level",
+    });
+  }
+  if (
+    ttlSeconds !== undefined &&
+    (typeof ttlSeconds !== "number" || !(ttlSeconds > 0))
+  ) {
+    throw new ValidationError(400, "`ttlSeconds` must be a positive number", {
+      category: logsCategory.SYSTEM,
+      code: "LOGGER_LEVEL_INVALID_TTL",
+      context: "runtime log level control",
+      reason: "invalid ttl",
+    });
+  }
+
+  const previousLevel = logger.level;
+  clearLevelOverride(loggerKey);
+  logger.level = level;
+
+  let timer;
+  let revertAt = null;
+  if (ttlSeconds !== undefined) {
+    // The revert is not part of the request that scheduled it
+    timer = runOutsideRequestContext(() =>
+      setTimeout(() => revertLoggerLevel(loggerKey), ttlSeconds * 1000)
+    );
+    timer.unref(); // A pending revert must not keep the process alive
+    revertAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+  }
+  levelOverrides.set(loggerKey, { level, timer, revertAt });
+
+  loggers.systemLogger?.info(
+    {
+      code: "LOGGER_LEVEL_CHANGED",
+      context: "runtime log level control",
+      loggerKey,
+      previousLevel,
+      currentLevel: level,
+      revertAt,
+      changedBy,
+    },
+    `Log level of ${loggerKey} changed from ${previousLevel} to ${level}`
+  );
+
+  return getLoggerLevel(loggerKey);
+};
+
+/**
+ * Changes the level of every live logger of a category.
+ *
+ * @param {string} category - The logger category (e.g., "authentication").
+ * @param {string} level - The new level (e.g., "trace", "silent").
+ * @param {Object} [options] - Same options as `setLoggerLevel`.
+ * @returns {Array<ReturnType<typeof getLoggerLevel>>} - The new level states.
+ * @throws {ValidationError|ApiError} - If the level or TTL is invalid, or no logger has the category.
+ */
+const setCategoryLevel = (category, level, options) => {
+  const loggerKeys = Object.keys(loggers).filter(
+    (loggerKey) => getLoggerCategory(loggerKey) === category
+  );
+  if (!loggerKeys.length) {
+    throw new ApiError(
+      404,
+      `No logger found for category "${category}"`,
+      null,
+      null,
+      {
+        category: logsCategory.SYSTEM,
+        code: "LOGGER_CATEGORY_NOT_FOUND",
+        context: "runtime log level control",
+      }
+    );
+  }
+  return loggerKeys.map((loggerKey) =>
+    setLoggerLevel(loggerKey, level, options)
+  );
+};
+
+// A config reload rebuilds a logger at its configured level, keep its override
+loggerRegistry.onReload(({ updated, removed }) => {
+  removed.forEach(clearLevelOverride);
+  updated.forEach((loggerKey) => {
+    const override = levelOverrides.get(loggerKey);
+    if (!override) return;
+    if (!isValidLevel(override.level, getLevelValues())) {
+      clearLevelOverride(loggerKey); // Its custom level was removed
+      return;
+    }
+    loggers[loggerKey].level = override.level;
+  });
+});
+
+export { getLoggerLevel, listLoggerLevels, setLoggerLevel, setCategoryLevel };
@@ -0,0 +1,399 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import {
+  LOGS_ROOT,
+  getLevelValues,
+  getLogFiles,
+  logsCategory,
+} from "./pino_util.js";
+import { isLogFileOf } from "./log_files_util.js";
+import { ValidationError } from "./error_util.js";
+
+/**
+ * Default and maximum number of entries returned per page.
+ */
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+const DATE_IN_NAME_PATTERN = /\d{4}-\d{2}-\d{2}/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the error reported for an invalid query.
+ *
+ * @param {string} message - Client-facing description of the problem.
+ * @returns {ValidationError}
+ */
+const invalidQuery = (message) =>
+  new ValidationError(400, message, {
+    category: logsCategory.SYSTEM,
+    code: "LOG_QUERY_INVALID",
+    context: "log search query",
+    reason: message,
+  });
+
+/**
+ * Encodes a resume position as an opaque cursor.
+ *
+ * @param {{file: string, fingerprint: string, offset: number, line: number}} position
+ * @returns {string}
+ */
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ *
+ * @param {string} cursor
+ * @returns {{file: string, fingerprint: string, offset: number, line: number}|null} - The position, or null if malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return typeof position?.file === "string" &&
+      typeof position.fingerprint === "string" &&
+      Number.isInteger(position.offset) &&
+      Number.isInteger(position.line)
+      ? position
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Selects the files of a category holding its entries at or above a level.
+ * A file whose entries from that level are all held by another selected file
+ * (e.g., an error file next to a combined file) is not read.
+ *
+ * @param {Array<{folder: string, name: string, minLevel: number, maxLevel?: number}>} files - The files of the category.
+ * @param {number} minLevel - The requested minimum level value.
+ * @returns {Array<{folder: string, name: string}>}
+ */
+const selectLogFiles = (files, minLevel) => {
+  const reaching = files
+    .filter(({ maxLevel = Infinity }) => maxLevel >= minLevel)
+    .map((file) => ({
+      ...file,
+      from: Math.max(file.minLevel, minLevel),
+      to: file.maxLevel ?? Infinity,
+    }));
+  const covers = (other, file) =>
+    other.from <= file.from && other.to >= file.to;
+  return reaching.filter(
+    (file, index) =>
+      !reaching.some(
+        (other, otherIndex) =>
+          otherIndex !== index &&
+          covers(other, file) &&
+          (otherIndex < index || !covers(file, other)) // Same range: first one
+      )
+  );
+};
+
+/**
+ * Lists the log files to scan, including rotated and gzip-compressed ones,
+ * ordered by the date in their name, then path. Active files carry no date
+ * and come last, as they hold the most recent entries.
+ * Files dated outside the requested range (with one day of slack for time
+ * zones) are skipped without being opened.
+ *
+ * @param {string[]} categories - Categories to read.
+ * @param {number} minLevel - The requested minimum level value.
+ * @param {{from?: Date, to?: Date}} range - Requested time range.
+ * @returns {Promise<Array<{file: string, date?: string}>>}
+ */
+const listLogFiles = async (categories, minLevel, { from, to }) => {
+  const files = [];
+  for (const category of categories) {
+    for (const { folder, name } of selectLogFiles(
+      getLogFiles(category),
+      minLevel
+    )) {
+      let fileNames = [];
+      try {
+        fileNames = await fs.promises.readdir(path.join(LOGS_ROOT, folder));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      fileNames
+        .filter((fileName) => isLogFileOf(fileName, name))
+        .forEach((fileName) => {
+          const date = fileName.match(DATE_IN_NAME_PATTERN)?.[0];
+          if (date) {
+            const day = Date.parse(date);
+            if (from && day + 2 * DAY_MS < from.getTime()) return;
+            if (to && day - DAY_MS > to.getTime()) return;
+          }
+          files.push({ file: path.join(folder, fileName), date });
+        });
+    }
+  }
+  return files.sort(
+    (a, b) =>
+      (a.date || "\uffff").localeCompare(b.date || "\uffff") ||
+      a.file.localeCompare(b.file, undefined, { numeric: true })
+  );
+};
+
+/**
+ * Builds the predicate an entry must satisfy.
+ * Cheap substring checks on the raw line run before parsing it.
+ * Entries whose time cannot be parsed never match a time range, they are
+ * reported through `onUndated` instead.
+ *
+ * @param {Object} filters - The normalized query filters.
+ * @param {() => void} onUndated - Called for each entry left out for its time.
+ * @returns {{matchesLine: (line: string) => boolean, matchesEntry: (entry: Object) => boolean}}
+ */
+const createMatcher = (
+  { level, from, to, code, requestId, text },
+  onUndated
+) => {
+  const minLevel = level ? getLevelValues()[level] : 0;
+  const needle = text?.toLowerCase();
+
+  return {
+    matchesLine: (line) =>
+      (!code || line.includes(code)) &&
+      (!requestId || line.includes(requestId)) &&
+      (!needle || line.toLowerCase().includes(needle)),
+    matchesEntry: (entry) => {
+      if (entry.level < minLevel) return false;
+      if (code && entry.code !== code) return false;
+      if (requestId && entry.requestId !== requestId) return false;
+      if (from || to) {
+        const time = Date.parse(entry.time);
+        if (Number.isNaN(time)) {
+          onUndated();
+          return false;
+        }
+        if (from && time < from.getTime()) return false;
+        if (to && time > to.getTime()) return false;
+      }
+      return true;
+    },
+  };
+};
+
+/**
+ * Streams the lines of a log file, decompressing gzip files on the fly.
+ * Plain files are resumed from a byte offset; gzip files cannot be seeked
+ * and are resumed by skipping lines.
+ *
+ * @param {string} file - Path relative to the logs root.
+ * @param {{offset: number, line: number}} start - Where to resume reading.
+ * @param {(line: string, position: {offset: number, line: number}) => boolean} onLine - Returns false to stop reading.
+ * @returns {Promise<void>}
+ */
+const scanFile = async (file, start, onLine) => {
+  const absolutePath = path.join(LOGS_ROOT, file);
+  const compressed = file.endsWith(".gz");
+  const fileStream = fs.createReadStream(absolutePath, {
+    start: compressed ? 0 : start.offset,
+  });
+  const input = compressed ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let offset = compressed ? 0 : start.offset;
+  let lineNumber = compressed ? 0 : start.line;
+  try {
+    for await (const line of lines) {
+      const position = { offset, line: lineNumber };
+      offset += Buffer.byteLength(line) + 1;
+      lineNumber += 1;
+      if (compressed && position.line < start.line) continue;
+      if (!onLine(line, position)) break;
+    }
+  } finally {
+    lines.close();
+    fileStream.destroy();
+  }
+};
+
+/**
+ * Identifies a log file by a hash of its first line. Unlike its name, this
+ * survives the rotation of the active file, whether renamed or compressed.
+ *
+ * @param {string} file - Path relative to the logs root.
+ * @returns {Promise<string|null>} - The fingerprint, or null for an empty or removed file.
+ */
+const getFileFingerprint = async (file) => {
+  let fingerprint = null;
+  try {
+    await scanFile(file, { offset: 0, line: 0 }, (line) => {
+      fingerprint = crypto
+        .createHash("sha256")
+        .update(line)
+        .digest("base64url")
+        .slice(0, 16);
+      return false;
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return fingerprint;
+};
+
+/**
+ * Finds the file a cursor resumes from: the file it names, or the file it was
+ * rotated to since, in the same folder. Its content is unchanged, so a renamed
+ * file resumes at the same offset and a compressed copy at the same line.
+ *
+ * @param {Array<{file: string}>} files - The files to scan, in order.
+ * @param {{file: string, fingerprint: string}} resumeFrom - The decoded cursor.
+ * @returns {Promise<number>} - Index of the file, or -1 if it no longer exists.
+ */
+const findResumeIndex = async (files, { file, fingerprint }) => {
+  const folder = path.dirname(file);
+  const candidates = files
+    .map((candidate, index) => ({ ...candidate, index }))
+    .filter((candidate) => path.dirname(candidate.file) === folder)
+    .sort((a, b) => (b.file === file) - (a.file === file)); // Named one first
+  for (const candidate of candidates) {
+    if ((await getFileFingerprint(candidate.file)) === fingerprint) {
+      return candidate.index;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Parses an optional date filter.
+ *
+ * @param {string|undefined} value - The raw query value.
+ * @param {string} name - The filter name, for error messages.
+ * @returns {Date|undefined}
+ * @throws {ValidationError} - If the value is not a valid date.
+ */
+const parseDateFilter = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQuery(`\`${name}\` must be a valid date.`);
+  }
+  return date;
+};
+
+/**
+ * Normalizes the raw query string parameters of a log search.
+ *
+ * @param {Object} query - The raw query string parameters.
+ * @returns {Object} - Filters accepted by `queryLogs`.
+ * @throws {ValidationError} - If a parameter is invalid.
+ */
+const parseLogQuery = (query) => {
+  const { category, level, from, to, code, requestId, q, cursor, limit } =
+    query;
+  const filters = { code, requestId, text: q, cursor };
+
+  Object.entries({ category, level, code, requestId, q, cursor }).forEach(
+    ([name, value]) => {
+      if (value !== undefined && typeof value !== "string") {
+        throw invalidQuery(`\`${name}\` must be a single value.`);
+      }
+    }
+  );
+  if (category !== undefined) {
+    if (!/^[\w-]+$/.test(category)) {
+      throw invalidQuery("`category` must be a category name.");
+    }
+    filters.category = category;
+  }
+  if (level !== undefined) {
+    if (!Object.hasOwn(getLevelValues(), level)) {
+      throw invalidQuery(`Unknown level "${level}".`);
+    }
+    filters.level = level;
+  }
+  filters.from = parseDateFilter(from, "from");
+  filters.to = parseDateFilter(to, "to");
+  if (limit !== undefined) {
+    const parsedLimit = Number(limit);
+    if (
+      !Number.isInteger(parsedLimit) ||
+      parsedLimit < 1 ||
+      parsedLimit > MAX_QUERY_LIMIT
+    ) {
+      throw invalidQuery(
+        `\`limit\` must be an integer between 1 and ${MAX_QUERY_LIMIT}.`
+      );
+    }
+    filters.limit = parsedLimit;
+  }
+  return filters;
+};
+
+/**
+ * Queries the on-disk NDJSON log files.
+ * Files are streamed line by line, so memory use does not depend on their size.
+ * The cursor identifies its file by content, so paging goes on across a
+ * rotation of the active file.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.category] - Only read this category.
+ * @param {string} [filters.level] - Minimum level (e.g., "warn").
+ * @param {Date} [filters.from] - Only entries logged at or after this time.
+ * @param {Date} [filters.to] - Only entries logged at or before this time.
+ * @param {string} [filters.code] - Only entries with this code.
+ * @param {string} [filters.requestId] - Only entries of this request.
+ * @param {string} [filters.text] - Case-insensitive free text matched against the raw entry.
+ * @param {number} [filters.limit=DEFAULT_QUERY_LIMIT] - Maximum entries per page.
+ * @param {string} [filters.cursor] - Cursor returned by a previous page.
+ * @returns {Promise<{entries: Object[], nextCursor: string|null, undatedEntries: number}>} - `undatedEntries` counts the entries of the page left out of a time range because their time cannot be parsed.
+ * @throws {ValidationError} - If the filters or the cursor are invalid.
+ */
+const queryLogs = async (filters) => {
+  const { category, level, cursor, limit = DEFAULT_QUERY_LIMIT } = filters;
+  const resumeFrom = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !resumeFrom) throw invalidQuery("Malformed cursor.");
+
+  const minLevel = level ? getLevelValues()[level] : 0;
+  // The configured categories, their files are those of their transports
+  const categories = category ? [category] : Object.values(logsCategory);
+  const files = await listLogFiles(categories, minLevel, filters);
+  let undatedEntries = 0;
+  const { matchesLine, matchesEntry } = createMatcher(filters, () => {
+    undatedEntries += 1;
+  });
+
+  const entries = [];
+  let nextCursor = null;
+  const resumeIndex = resumeFrom ? await findResumeIndex(files, resumeFrom) : 0;
+  if (resumeIndex === -1) {
+    throw invalidQuery("Cursor refers to a log file that no longer exists.");
+  }
+
+  for (const [index, { file }] of files.entries()) {
+    if (index < resumeIndex) continue;
+    const start =
+      resumeFrom && index === resumeIndex ? resumeFrom : { offset: 0, line: 0 };
+
+    await scanFile(file, start, (line, position) => {
+      if (entries.length >= limit) {
+        nextCursor = { file, ...position };
+        return false;
+      }
+      if (!line || !matchesLine(line)) return true;
+      try {
+        const entry = JSON.parse(line);
+        if (matchesEntry(entry)) entries.push(entry);
+      } catch {
+        // Skip partially written or corrupted lines
+      }
+      return true;
+    });
+    if (nextCursor) {
+      const fingerprint = await getFileFingerprint(file);
+      nextCursor = encodeCursor({ ...nextCursor, fingerprint });
+      break;
+    }
+  }
+
+  return { entries, nextCursor, undatedEntries };
+};
+
+export { queryLogs, parseLogQuery };
@@ -0,0 +1,199 @@
+import { runOutsideRequestContext } from "./request_context_util.js";
+import { compileCodePattern } from "./log_code_util.js";
+
+/**
+ * Default period between two summaries of suppressed entries.
+ */
+const DEFAULT_SUMMARY_INTERVAL_SECONDS = 60;
+
+const RULE_KEYS = ["code", "levels", "sampleRate", "dedupWindowSeconds"];
+
+/**
+ * Validates a `suppression` section of `loggers.json`.
+ *
+ * @param {Object|undefined} suppression - The suppression configuration.
+ * @param {string} location - Where the section was found, for error messages.
+ * @throws {Error} - If the section or one of its rules is invalid.
+ */
+const validateSuppressionConfig = (suppression, location) => {
+  if (suppression === undefined) return;
+  if (!suppression || typeof suppression !== "object") {
+    throw new Error(`Invalid ${location} configuration.`);
+  }
+  const { summaryIntervalSeconds, rules = [] } = suppression;
+  if (summaryIntervalSeconds !== undefined && !(summaryIntervalSeconds > 0)) {
+    throw new Error(
+      `${location}.summaryIntervalSeconds must be a positive number.`
+    );
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`${location}.rules must be an array.`);
+  }
+  rules.forEach((rule, index) => {
+    const ruleLocation = `${location}.rules[${index}]`;
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`Invalid ${ruleLocation} configuration.`);
+    }
+    const unknownKeys = Object.keys(rule).filter(
+      (key) => !RULE_KEYS.includes(key)
+    );
+    if (unknownKeys.length) {
+      throw new Error(
+        `Unknown ${ruleLocation} options: ${unknownKeys.join(", ")}`
+      );
+    }
+    const { code, levels, sampleRate, dedupWindowSeconds } = rule;
+    if (code !== undefined && (typeof code !== "string" || !code)) {
+      throw new Error(`${ruleLocation}.code must be a code or pattern.`);
+    }
+    if (levels !== undefined && !Array.isArray(levels)) {
+      throw new Error(`${ruleLocation}.levels must be an array.`);
+    }
+    if (
+      sampleRate !== undefined &&
+      !(Number.isInteger(sampleRate) && sampleRate > 0)
+    ) {
+      throw new Error(`${ruleLocation}.sampleRate must be a positive integer.`);
+    }
+    if (dedupWindowSeconds !== undefined && !(dedupWindowSeconds > 0)) {
+      throw new Error(
+        `${ruleLocation}.dedupWindowSeconds must be a positive number.`
+      );
+    }
+    if (sampleRate === undefined && dedupWindowSeconds === undefined) {
+      throw new Error(
+        `${ruleLocation} needs a sampleRate or a dedupWindowSeconds.`
+      );
+    }
+  });
+};
+
+/**
+ * Identity of an entry for duplicate detection: same code, message and error.
+ *
+ * @param {Object} entry - The logged metadata.
+ * @param {string|undefined} message - The logged message.
+ * @returns {string}
+ */
+const getDuplicateKey = (entry, message) =>
+  JSON.stringify([
+    entry?.code,
+    message,
+    entry?.error?.message ?? entry?.reason ?? null,
+  ]);
+
+/**
+ * Creates the sampling and duplicate suppression state of one logger.
+ * Rules are matched in order and the first rule matching the entry's code
+ * and level applies. Suppressed entries are counted and reported through
+ * `onSummary` every `summaryIntervalSeconds`.
+ *
+ * @param {Object} suppression - The resolved suppression configuration.
+ * @param {Array<Object>} suppression.rules - The suppression rules.
+ * @param {number} [suppression.summaryIntervalSeconds] - Period of the summaries.
+ * @param {(summary: {reason: string, code: string, level: string, dropped: number, firstAt: string, lastAt: string}) => void} onSummary - Emits a summary entry.
+ * @returns {{shouldSuppress: (level: string, entry: Object, message?: string) => boolean, flush: () => void, stop: () => void}}
+ */
+const createLogSuppressor = (
+  { rules = [], summaryIntervalSeconds = DEFAULT_SUMMARY_INTERVAL_SECONDS },
+  onSummary
+) => {
+  const compiledRules = rules.map((rule) => ({
+    ...rule,
+    codePattern: compileCodePattern(rule.code),
+  }));
+  const sampleCounters = new Map();
+  const dedupWindows = new Map();
+  const dropped = new Map();
+
+  /**
+   * Counts a suppressed entry towards the next summary.
+   */
+  const recordDrop = (reason, code, level) => {
+    const key = JSON.stringify([reason, code, level]);
+    const now = new Date().toISOString();
+    const summary = dropped.get(key) || {
+      reason,
+      code,
+      level,
+      dropped: 0,
+      firstAt: now,
+    };
+    summary.dropped += 1;
+    summary.lastAt = now;
+    dropped.set(key, summary);
+  };
+
+  const shouldSuppress = (level, entry, message) => {
+    if (!compiledRules.length || !entry || typeof entry !== "object") {
+      return false;
+    }
+    const code = String(entry.code ?? "");
+    const rule = compiledRules.find(
+      ({ codePattern, levels }) =>
+        codePattern.test(code) && (!levels || levels.includes(level))
+    );
+    if (!rule) return false;
+
+    if (rule.dedupWindowSeconds) {
+      const key = getDuplicateKey(entry, message);
+      const now = Date.now();
+      const windowStart = dedupWindows.get(key);
+      if (
+        windowStart !== undefined &&
+        now - windowStart < rule.dedupWindowSeconds * 1000
+      ) {
+        recordDrop("duplicate", code, level);
+        return true;
+      }
+      dedupWindows.set(key, now);
+    }
+
+    if (rule.sampleRate > 1) {
+      const key = JSON.stringify([code, level]);
+      const seen = sampleCounters.get(key) || 0;
+      sampleCounters.set(key, seen + 1);
+      if (seen % rule.sampleRate !== 0) {
+        recordDrop("sampling", code, level);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Reports the entries suppressed since the last summary and forgets
+   * expired duplicate windows.
+   */
+  const flush = () => {
+    const summaries = [...dropped.values()];
+    dropped.clear();
+    summaries.forEach((summary) => onSummary(summary));
+
+    const longestWindow = Math.max(
+      0,
+      ...compiledRules.map((rule) => rule.dedupWindowSeconds || 0)
+    );
+    const now = Date.now();
+    dedupWindows.forEach((windowStart, key) => {
+      if (now - windowStart >= longestWindow * 1000) dedupWindows.delete(key);
+    });
+  };
+
+  // Summaries are not part of the request that happened to start the timer
+  const summaryTimer = compiledRules.length
+    ? runOutsideRequestContext(() =>
+        setInterval(flush, summaryIntervalSeconds * 1000)
+      )
+    : null;
+  summaryTimer?.unref(); // Summaries must not keep the process alive
+
+  const stop = () => {
+    clearInterval(summaryTimer);
+    flush();
+  };
+
+  return { shouldSuppress, flush, stop };
+};
+
+export { validateSuppressionConfig, createLogSuppressor };
@@ -0,0 +1,1483 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import pino from "pino";
+import {
+  getRequestContext,
+  runOutsideRequestContext,
+} from "./request_context_util.js";
+import {
+  checkField,
+  mergeFieldDefinitions,
+  validateFieldDefinition,
+} from "./field_schema_util.js";
+import {
+  CODE_ENFORCEMENT_MODES,
+  formatCodeMessage,
+  getLogCode,
+  inspectLogCode,
+} from "./log_code_util.js";
+import {
+  createLogSuppressor,
+  validateSuppressionConfig,
+} from "./log_suppression_util.js";
+import { createMetrics, validateMetricsConfig } from "./metrics_util.js";
+import { createAlertManager, validateAlertingConfig } from "./alert_util.js";
+import {
+  REDACTED_CENSOR,
+  createValueRedactor,
+  validateRedactionConfig,
+} from "./redaction_util.js";
+import {
+  AUDIT_CHECKPOINT_CODE,
+  createAuditChain,
+  loadCheckpointSigner,
+  validateAuditConfig,
+} from "./audit_chain_util.js";
+import { validateAccessLogConfig } from "./access_log_util.js";
+import { validateErrorLevelsConfig } from "./error_level_util.js";
+import { serializeError } from "./error_serializer_util.js";
+import {
+  getCustomLevelValues,
+  getLevelValues,
+  getPrettyLevelOptions,
+  validateCustomLevelsConfig,
+} from "./custom_level_util.js";
+import { LOGS_ROOT } from "./log_files_util.js";
+import {
+  PRETTY_DESTINATIONS,
+  getCategoryLogFiles,
+  getLogFiles,
+  getTransportLevelRange,
+  resolveTransports,
+  validateResolvedTransports,
+  validateTransportsConfig,
+} from "./transport_config_util.js";
+
+/**
+ * Category names, used as directory names under the logs root.
+ */
+const CATEGORY_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Logger that receives the entries of unknown categories when
+ * `common.fallbackLogger` is not configured.
+ */
+const DEFAULT_FALLBACK_LOGGER = "systemLogger";
+
+/**
+ * Returns the `logsCategory` key of a category (e.g., "billing-events" gives
+ * "BILLING_EVENTS").
+ *
+ * @param {string} category - The category name.
+ * @returns {string}
+ */
+const toCategoryKey = (category) => category.toUpperCase().replace(/-/g, "_");
+
+/**
+ * Pino target of the rotating category files. Bundled builds register it
+ * under a bundler path override, source runs load the helper directly.
+ */
+const ROTATING_FILE_TRANSPORT = globalThis.__bundlerPathsOverrides?.[
+  "rotating-file-transport"
+]
+  ? "rotating-file-transport"
+  : fileURLToPath(
+      // Not an asset of bundled builds, which use the override above
+      new URL(
+        /* webpackIgnore: true */ "../helper/rotating_file_transport.js",
+        import.meta.url
+      )
+    );
+
+/**
+ * Delay used to coalesce the burst of change events editors emit on save.
+ */
+const CONFIG_RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Level used when neither the logger nor `common` configures one.
+ */
+const DEFAULT_LOG_LEVEL = "debug";
+
+/**
+ * Formats a date as ISO 8601 in the local time of the machine, with its UTC
+ * offset (e.g., "2026-01-31T14:05:09.120+01:00"), so the entries show the
+ * local time and still parse the same everywhere.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+const toLocalIsoString = (date) => {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const offset = -date.getTimezoneOffset();
+  const sign = offset < 0 ? "-" : "+";
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}.${pad(date.getMilliseconds(), 3)}${sign}${pad(
+    Math.floor(Math.abs(offset) / 60)
+  )}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Checks whether a level name can be assigned to a logger.
+ *
+ * @param {string} level - The level name (e.g., "trace", "silent").
+ * @param {Object<string, number>} [levelValues=pino.levels.values] - The levels in effect, custom ones included.
+ * @returns {boolean}
+ */
+const isValidLevel = (level, levelValues = pino.levels.values) =>
+  level === "silent" || Object.hasOwn(levelValues, level);
+
+/**
+ * Mutable state of a registry, shared with its wrapped loggers so they see
+ * the configuration and alert manager currently in effect. Everything a
+ * registry tracks lives here, so registries never share state:
+ * - `fieldDefinitions`: normalized field definitions per configuration
+ *   object, keyed by "<loggerKey>.<method>". A hot reload swaps the
+ *   configuration object, which naturally invalidates its entry.
+ * - `auditChains`: hash chains of the audited categories, kept across hot
+ *   reloads so a rebuilt logger continues the chain of the one it replaces.
+ * - `closeHandlers`: what to stop when a wrapped logger is closed (its
+ *   suppression summaries and signed checkpoints).
+ * - `fallbackLoggers`: console loggers, which write to the process stdout
+ *   that must not be ended when they are closed.
+ * @typedef {{
+ *   config: Object|null,
+ *   alertManager: ReturnType<typeof createAlertManager>|null,
+ *   createDestination?: (loggerKey: string, category: string, levelValues: Object<string, number>) => {write: (line: string) => void},
+ *   metrics: ReturnType<typeof createMetrics>,
+ *   fieldDefinitions: WeakMap<Object, Map<string, Array<Object>>>,
+ *   auditChains: Map<string, ReturnType<typeof createAuditChain>>,
+ *   closeHandlers: WeakMap<pino.Logger, Array<() => void>>,
+ *   fallbackLoggers: WeakSet<pino.Logger>,
+ * }} RegistryState
+ */
+
+/**
+ * Registers what to stop when a logger is closed.
+ *
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @param {pino.Logger} logger - The wrapped logger.
+ * @param {() => void} handler
+ */
+const onLoggerClose = (state, logger, handler) =>
+  state.closeHandlers.set(logger, [
+    ...(state.closeHandlers.get(logger) || []),
+    handler,
+  ]);
+
+/**
+ * Resolves the merged field definitions that apply to a logger method.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} method - The log method being used (e.g., "info", "warn", "error").
+ * @param {Object} schema - The logger schema from the configuration.
+ * @param {WeakMap<Object, Map<string, Array<Object>>>} cache - Definitions already resolved, per schema.
+ * @returns {Array<Object>} - The normalized field definitions.
+ */
+const getFieldDefinitions = (loggerKey, method, schema, cache) => {
+  if (!cache.has(schema)) cache.set(schema, new Map());
+  const schemaCache = cache.get(schema);
+  const cacheKey = `${loggerKey}.${method}`;
+
+  if (!schemaCache.has(cacheKey)) {
+    const loggerConfig = schema?.loggers?.[loggerKey];
+    const commonFields = schema?.common?.requiredFields?.[method] || [];
+    const customFields = loggerConfig?.customRequiredFields?.[method] || [];
+    schemaCache.set(
+      cacheKey,
+      mergeFieldDefinitions(commonFields, customFields)
+    );
+  }
+  return schemaCache.get(cacheKey);
+};
+
+/**
+ * Validates metadata passed to the logger wrapper before logging.
+ * Ensures the metadata contains required fields as per the schema, and that
+ * fields with a full definition match its type, enum, pattern and max length.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} method - The log method being used (e.g., "info", "warn", "error").
+ * @param {Object} schema - The logger schema from the configuration.
+ * @param {Object} metadata - Metadata object to validate.
+ * @param {WeakMap<Object, Map<string, Array<Object>>>} cache - Field definitions already resolved, per schema.
+ * @throws {Error} - If required fields are missing or invalid.
+ */
+const validateFields = (loggerKey, method, schema, metadata, cache) => {
+  try {
+    // Merge common and custom fields (custom overrides common if specified)
+    const fields = getFieldDefinitions(loggerKey, method, schema, cache);
+    const requiredFields = fields
+      .filter((field) => field.required)
+      .map((field) => field.path);
+
+    if (!metadata || typeof metadata !== "object") {
+      if (requiredFields.length > 0) {
+        throw new Error(
+          `Missing required metadata for ${loggerKey}.${method}. Required fields: ${requiredFields.join(
+            ", "
+          )}`
+        );
+      }
+    } else {
+      const violations = fields
+        .map((field) => checkField(field, metadata))
+        .filter(Boolean);
+      if (violations.length > 0) {
+        throw new Error(
+          `Invalid fields for ${loggerKey}.${method}: ${violations.join("; ")}`
+        );
+      }
+    }
+  } catch (error) {
+    console.log("Error while validating fields", error);
+    throw error;
+  }
+};
+
+/**
+ * Checks the `code` of an entry against the code catalog and resolves its
+ * message. When no message is passed, the code's message template is
+ * rendered with `metadata.params`.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} method - The log method being used (e.g., "info", "warn").
+ * @param {Object} metadata - Metadata object passed to the logger.
+ * @param {string} [msg] - The message passed to the logger.
+ * @param {Object} config - The logger configuration in effect.
+ * @returns {[Object, string|undefined]} - The metadata to log and its message.
+ * @throws {Error} - If the code is invalid and enforcement is "strict".
+ */
+const applyLogCode = (loggerKey, method, metadata, msg, config) => {
+  if (!metadata || typeof metadata !== "object" || !("code" in metadata)) {
+    return [metadata, msg];
+  }
+
+  const message = msg ?? formatCodeMessage(metadata.code, metadata.params);
+  const enforcement = config?.common?.codeEnforcement || "flag";
+  if (enforcement === "off") return [metadata, message];
+
+  const codeIssues = inspectLogCode(
+    metadata.code,
+    config?.loggers?.[loggerKey]?.category
+  );
+  if (!codeIssues.length) return [metadata, message];
+  if (enforcement === "strict") {
+    throw new Error(
+      `Invalid log code for ${loggerKey}.${method}: ${codeIssues.join("; ")}`
+    );
+  }
+  return [{ ...metadata, codeIssues }, message];
+};
+
+/**
+ * Wraps a Pino logger method with validation logic.
+ * Validates metadata against schema before calling the original logger method.
+ * The original method is resolved on every call, as pino swaps level methods
+ * for no-ops whenever the logger level changes.
+ *
+ * @param {pino.Logger} logger - The original Pino logger instance.
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} method - The log method being wrapped (e.g., "info", "warn").
+ * @param {ReturnType<typeof createLogSuppressor>|null} suppressor - Sampling and duplicate suppression of the logger.
+ * @param {ReturnType<typeof createValueRedactor>} redactor - Value redaction of the logger.
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @returns {Function} - The wrapped logger method.
+ */
+const wrapLoggerMethod = (
+  logger,
+  loggerKey,
+  method,
+  suppressor,
+  redactor,
+  state
+) => {
+  return (metadata, msg, ...args) => {
+    const { config, alertManager, metrics } = state;
+    const category = config?.loggers?.[loggerKey]?.category;
+    try {
+      // Validate metadata
+      validateFields(
+        loggerKey,
+        method,
+        config,
+        metadata,
+        state.fieldDefinitions
+      );
+    } catch (error) {
+      metrics.recordValidationFailure({ logger: loggerKey, level: method });
+      throw error;
+    }
+    const [entry, message] = applyLogCode(
+      loggerKey,
+      method,
+      metadata,
+      msg,
+      config
+    );
+    alertManager?.observe({
+      loggerKey,
+      category,
+      level: method,
+      entry,
+      // Alerts leave the process, mask them like the log files
+      message:
+        redactor && typeof message === "string"
+          ? redactor.redactString(message)
+          : message,
+      requestId: getRequestContext()?.requestId,
+    });
+    const metricLabels = {
+      logger: loggerKey,
+      category,
+      level: method,
+      code: entry?.code,
+    };
+    if (suppressor?.shouldSuppress(method, entry, message)) {
+      metrics.recordSuppressedLogEntry(metricLabels);
+      return; // Sampled out or duplicate
+    }
+    if (logger.isLevelEnabled(method)) metrics.recordLogEntry(metricLabels);
+    return logger[method](entry, message, ...args); // Call the original method
+  };
+};
+
+/**
+ * Writes the summary of suppressed entries to the original logger, at the
+ * level of the suppressed entries so it lands next to where they would have.
+ *
+ * @param {pino.Logger} logger - The original Pino logger instance.
+ * @returns {Function} - The summary callback of the suppressor.
+ */
+const logSuppressionSummary =
+  (logger) =>
+  ({ reason, code, level, dropped, firstAt, lastAt }) =>
+    logger[level]?.(
+      {
+        code: "LOG_ENTRIES_SUPPRESSED",
+        context: "log suppression",
+        suppressed: { reason, code, level, dropped, firstAt, lastAt },
+      },
+      `Suppressed ${dropped} "${code}" ${level} entries (${reason}) between ${firstAt} and ${lastAt}`
+    );
+
+/**
+ * Wraps all methods of a logger instance with validation logic.
+ * The `level` of the wrapped logger reads and writes the level of the
+ * original logger, so it can be changed at runtime without losing the
+ * validation wrappers.
+ *
+ * @param {pino.Logger} logger - The original Pino logger instance.
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @param {Object} [suppression] - Sampling and duplicate suppression rules of the logger.
+ * @param {ReturnType<typeof createValueRedactor>} [redactor=null] - Value redaction of the logger.
+ * @returns {pino.Logger} - The wrapped logger instance.
+ */
+const wrapLogger = (logger, loggerKey, state, suppression, redactor = null) => {
+  const wrappedLogger = logger.child({}); // Clone the logger instance for isolation
+  const methods = Object.keys(logger.levels.values); // Custom levels included
+  const suppressor = suppression?.rules?.length
+    ? createLogSuppressor(suppression, logSuppressionSummary(logger))
+    : null;
+  // Report pending suppressed entries when the logger is closed
+  if (suppressor) onLoggerClose(state, wrappedLogger, suppressor.stop);
+
+  methods.forEach((method) => {
+    wrappedLogger[method] = wrapLoggerMethod(
+      logger,
+      loggerKey,
+      method,
+      suppressor,
+      redactor,
+      state
+    );
+  });
+
+  Object.defineProperty(wrappedLogger, "level", {
+    get: () => logger.level,
+    set: (level) => {
+      logger.level = level;
+    },
+    enumerable: true,
+  });
+  wrappedLogger.isLevelEnabled = (level) => logger.isLevelEnabled(level);
+
+  /**
+   * Logs a catalog code at its default level with its templated message.
+   * @param {string} code - The log code (e.g., "USAGE_QUOTA_EXCEEDED").
+   * @param {Object} [metadata={}] - Extra fields; `params` fills the message template.
+   * @param {string} [msg] - Overrides the templated message.
+   */
+  wrappedLogger.logCode = (code, metadata = {}, msg) => {
+    const definition = getLogCode(code);
+    const method = definition?.level || "info";
+    return wrappedLogger[method](
+      { context: definition?.context, ...metadata, code },
+      msg
+    );
+  };
+
+  return wrappedLogger;
+};
+
+/**
+ * Validates a `requiredFields`/`customRequiredFields` section.
+ *
+ * @param {Object|undefined} requiredFields - Field definitions keyed by log method.
+ * @param {string} location - Where the section was found, for error messages.
+ * @throws {Error} - If a field definition is invalid.
+ */
+const validateRequiredFieldsConfig = (requiredFields, location) => {
+  if (requiredFields === undefined) return;
+  if (!requiredFields || typeof requiredFields !== "object") {
+    throw new Error(`Invalid ${location} configuration.`);
+  }
+  Object.entries(requiredFields).forEach(([method, definitions]) => {
+    if (!Array.isArray(definitions)) {
+      throw new Error(`${location}.${method} must be an array.`);
+    }
+    definitions.forEach((definition) =>
+      validateFieldDefinition(definition, `${location}.${method}`)
+    );
+  });
+};
+
+/**
+ * Validates a `rotation` section.
+ *
+ * @param {Object|undefined} rotation - Rotation and retention options.
+ * @param {string} location - Where the section was found, for error messages.
+ * @throws {Error} - If an option is invalid.
+ */
+const validateRotationConfig = (rotation, location) => {
+  if (rotation === undefined) return;
+  if (!rotation || typeof rotation !== "object" || Array.isArray(rotation)) {
+    throw new Error(`Invalid ${location} configuration.`);
+  }
+  const { interval, size, maxFiles, maxAgeDays, compress, ...unknown } =
+    rotation;
+  if (Object.keys(unknown).length) {
+    throw new Error(
+      `Unknown ${location} options: ${Object.keys(unknown).join(", ")}`
+    );
+  }
+  if (
+    interval !== undefined &&
+    interval !== null &&
+    !/^\d+[smhdM]$/.test(interval)
+  ) {
+    throw new Error(`Invalid ${location}.interval "${interval}".`);
+  }
+  if (size !== undefined && !/^\d+[BKMG]$/.test(size)) {
+    throw new Error(`Invalid ${location}.size "${size}".`);
+  }
+  if (maxFiles !== undefined && !(Number.isInteger(maxFiles) && maxFiles > 0)) {
+    throw new Error(`${location}.maxFiles must be a positive integer.`);
+  }
+  if (maxAgeDays !== undefined && !(maxAgeDays > 0)) {
+    throw new Error(`${location}.maxAgeDays must be a positive number.`);
+  }
+  if (compress !== undefined && typeof compress !== "boolean") {
+    throw new Error(`${location}.compress must be a boolean.`);
+  }
+};
+
+/**
+ * Validates the logger configuration schema.
+ *
+ * @param {Object} config - The logger configuration object.
+ * @returns {Object} - The validated configuration.
+ * @throws {Error} - If the configuration is invalid.
+ */
+const validateLoggerConfig = (config) => {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid or missing `loggers.json` configuration.");
+  }
+  if (
+    !config.loggers ||
+    typeof config.loggers !== "object" ||
+    Array.isArray(config.loggers)
+  ) {
+    throw new Error(
+      "Missing `loggers` section in `loggers.json` configuration."
+    );
+  }
+  validateCustomLevelsConfig(config.common?.customLevels);
+  const levelValues = getLevelValues(config.common?.customLevels);
+  // Ensure all keys and values are valid
+  Object.entries(config.loggers).forEach(([key, value]) => {
+    if (
+      typeof key !== "string" ||
+      typeof value !== "object" ||
+      !value.category
+    ) {
+      throw new Error(`Invalid logger configuration for "${key}".`);
+    }
+    if (!CATEGORY_NAME_PATTERN.test(value.category)) {
+      throw new Error(
+        `Invalid category "${value.category}" for logger "${key}", expected letters, digits, "_" or "-".`
+      );
+    }
+    if (value.level !== undefined && !isValidLevel(value.level, levelValues)) {
+      throw new Error(`Invalid level "${value.level}" for logger "${key}".`);
+    }
+    validateRequiredFieldsConfig(
+      value.customRequiredFields,
+      `loggers.${key}.customRequiredFields`
+    );
+    validateRotationConfig(value.rotation, `loggers.${key}.rotation`);
+    validateTransportsConfig(
+      value.transports,
+      `loggers.${key}.transports`,
+      levelValues
+    );
+    validateSuppressionConfig(value.suppression, `loggers.${key}.suppression`);
+    validateRedactionConfig(value, `loggers.${key}`);
+    validateAuditConfig(value.audit, `loggers.${key}.audit`);
+  });
+  validateTransportsConfig(
+    config.common?.transports,
+    "common.transports",
+    levelValues
+  );
+  const loggerFiles = Object.fromEntries(
+    Object.entries(config.loggers).map(([key, value]) => {
+      const transports = resolveTransports(value, config.common);
+      validateResolvedTransports(transports, key);
+      return [
+        key,
+        JSON.stringify(
+          getLogFiles(key, value.category, transports, levelValues)
+        ),
+      ];
+    })
+  );
+  // Loggers of a category share its files, so they share its hash chain
+  Object.entries(config.loggers).forEach(([key, value]) => {
+    const unaudited = Object.entries(config.loggers).find(
+      ([, other]) => other.category === value.category && !other.audit
+    );
+    if (value.audit && unaudited) {
+      throw new Error(
+        `Logger "${unaudited[0]}" must enable audit like "${key}", as both write to the "${value.category}" category.`
+      );
+    }
+    // Each sealed entry must land in the files of the chain
+    const otherFiles = Object.entries(config.loggers).find(
+      ([otherKey, other]) =>
+        other.category === value.category &&
+        loggerFiles[otherKey] !== loggerFiles[key]
+    );
+    if (value.audit && otherFiles) {
+      throw new Error(
+        `Logger "${otherFiles[0]}" must write the same files as "${key}", as both write to the audited "${value.category}" category.`
+      );
+    }
+  });
+  validateRedactionConfig(config.common, "common");
+  validateRotationConfig(config.common?.rotation, "common.rotation");
+  validateSuppressionConfig(config.common?.suppression, "common.suppression");
+  validateMetricsConfig(config.common?.metrics);
+  validateAlertingConfig(config.alerting, levelValues);
+  validateAccessLogConfig(config.accessLog, config.loggers);
+  validateRequiredFieldsConfig(
+    config.common?.requiredFields,
+    "common.requiredFields"
+  );
+  // Errors may be logged by any logger, at the level `errorLevels` maps
+  validateErrorLevelsConfig(config.errorLevels, levelValues, (level) => [
+    ...new Set(
+      Object.values(config.loggers).flatMap((loggerConfig) =>
+        mergeFieldDefinitions(
+          config.common?.requiredFields?.[level] || [],
+          loggerConfig.customRequiredFields?.[level] || []
+        )
+          .filter((field) => field.required)
+          .map((field) => field.path)
+      )
+    ),
+  ]);
+  if (
+    config.common?.codeEnforcement !== undefined &&
+    !CODE_ENFORCEMENT_MODES.includes(config.common.codeEnforcement)
+  ) {
+    throw new Error(
+      `Invalid common codeEnforcement "${config.common.codeEnforcement}".`
+    );
+  }
+  if (
+    config.common?.level !== undefined &&
+    !isValidLevel(config.common.level, levelValues)
+  ) {
+    throw new Error(`Invalid common level "${config.common.level}".`);
+  }
+  const fallbackLogger = config.common?.fallbackLogger;
+  if (
+    fallbackLogger !== undefined &&
+    !Object.hasOwn(config.loggers, fallbackLogger)
+  ) {
+    throw new Error(
+      `common.fallbackLogger "${fallbackLogger}" is not a configured logger.`
+    );
+  }
+
+  return config;
+};
+
+/**
+ * Generates the pino targets of a logger's transports.
+ * Generated files are rotated on date boundaries and size limits, and only
+ * receive the levels of their filter: pino targets have a minimum level, the
+ * file transport drops the entries above the maximum.
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} category - The logger category (e.g., "Validation").
+ * @param {Object<string, Object>} transports - Transports resolved by `resolveTransports`.
+ * @param {Object} [rotation={}] - Rotation and retention options of the logger files.
+ * @param {Object} [customLevels={}] - The `common.customLevels` section.
+ * @returns {Array} - Array of transport targets for Pino.
+ */
+const createTransportConfig = (
+  loggerKey,
+  category,
+  transports,
+  rotation = {},
+  customLevels = {}
+) => {
+  const levelValues = getLevelValues(customLevels);
+  const files = getLogFiles(loggerKey, category, transports, levelValues);
+  return Object.entries(transports).map(([name, transport]) => {
+    if (transport.target === "pretty") {
+      return {
+        target: "pino-pretty",
+        level: getTransportLevelRange(transport, levelValues).minLevel,
+        options: {
+          colorize: true,
+          translateTime: "SYS:standard", // Formats time as `YYYY-MM-DD HH:mm:ss`
+          destination: PRETTY_DESTINATIONS[transport.destination || "stdout"],
+          ...getPrettyLevelOptions(customLevels),
+        },
+      };
+    }
+    const {
+      folder,
+      name: fileName,
+      minLevel,
+      maxLevel,
+    } = files.find((file) => file.transport === name);
+    return {
+      target: ROTATING_FILE_TRANSPORT,
+      level: minLevel,
+      options: {
+        ...rotation,
+        folder: path.resolve(LOGS_ROOT, folder),
+        name: fileName,
+        ...(maxLevel !== undefined && { maxLevel }),
+      },
+      worker: {
+        autoEnd: true, // Enables auto-closing of the worker when the process ends
+      },
+    };
+  });
+};
+
+/**
+ * Creates a Pino logger instance for a given logger key and category.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {string} category - The logger category (e.g., "Validation").
+ * @param {string[]} redactFields - Fields to redact in the logs.
+ * @param {string} [level="debug"] - Minimum level the logger emits.
+ * @param {Object} [customLevels={}] - The `common.customLevels` section, added as logger methods.
+ * @param {Object} [rotation={}] - Rotation and retention options of the logger files.
+ * @param {Object<string, Object>} [transports={}] - Transports resolved by `resolveTransports`.
+ * @param {ReturnType<typeof createValueRedactor>} [redactor=null] - Content based redaction of the entries and messages.
+ * @param {ReturnType<typeof createAuditChain>} [auditChain=null] - Hash chain sealing the written lines.
+ * @param {{write: (line: string) => void}} [destination=null] - Stream the lines are written to instead of the file and console targets.
+ * @returns {pino.Logger} - The created Pino logger instance.
+ */
+const createLogger = (
+  loggerKey,
+  loggerCategory,
+  redactFields = [],
+  level = DEFAULT_LOG_LEVEL,
+  customLevels = {},
+  rotation = {},
+  transports = {},
+  redactor = null,
+  auditChain = null,
+  destination = null
+) => {
+  try {
+    const options = {
+      level, // Logs messages up to the configured level
+      customLevels: getCustomLevelValues(customLevels),
+      timestamp: () => `,"time":"${toLocalIsoString(new Date())}"`, //local machine date
+      errorKey: "error", // The string key for the 'error' in the JSON object.
+
+      // Inject a "type" field based on the log level and, when logging
+      // inside an HTTP request, its correlation id, method and path
+      mixin(_context, level, logger) {
+        const requestContext = getRequestContext();
+        return {
+          ...(requestContext && {
+            requestId: requestContext.requestId,
+            method: requestContext.method,
+            path: requestContext.path,
+          }),
+          type: logger.levels.labels[level]?.toUpperCase(),
+        };
+      },
+      // Merge strategy to ensure flat logging structure
+      mixinMergeStrategy(mergeObject, mixinObject) {
+        return { ...mergeObject, ...mixinObject };
+      },
+
+      // Redact sensitive fields
+      redact: {
+        paths: redactFields,
+        censor: REDACTED_CENSOR, // Replace sensitive fields with this value
+      },
+
+      // Mask sensitive values wherever they appear: in the entry, including
+      // the request context, and in the message
+      ...(redactor && {
+        formatters: {
+          log: (entry) => redactor.redactEntry(entry),
+        },
+      }),
+
+      // Errors keep their causes, members and custom fields, within size limits
+      serializers: {
+        error: serializeError,
+      },
+      hooks: {
+        ...(redactor && {
+          logMethod(args, method) {
+            return method.apply(
+              this,
+              args.map((arg) =>
+                typeof arg === "string" ? redactor.redactString(arg) ?? "" : arg
+              )
+            );
+          },
+        }),
+        // Seal the final lines, after redaction, into the audit hash chain
+        ...(auditChain && { streamWrite: auditChain.seal }),
+      },
+
+      // Transport configurations
+      ...(!destination && {
+        transport: {
+          targets: createTransportConfig(
+            loggerKey,
+            loggerCategory,
+            transports,
+            rotation,
+            customLevels
+          ),
+        },
+      }),
+    };
+    return destination ? pino(options, destination) : pino(options);
+  } catch (error) {
+    console.error(`Error creating logger for key "${loggerKey}":`, error);
+    throw new Error(`Failed to create logger for "${loggerKey}".`);
+  }
+};
+
+/**
+ * Resolves the configured level of a logger entry.
+ * The logger's own `level` overrides the `common` one.
+ *
+ * @param {Object} loggerConfig - The logger entry from the configuration.
+ * @param {Object} commonConfig - The `common` section of the configuration.
+ * @returns {string} - The configured level.
+ */
+const getConfiguredLevel = (loggerConfig, commonConfig) =>
+  loggerConfig?.level || commonConfig?.level || DEFAULT_LOG_LEVEL;
+
+/**
+ * Resolves the options `createLogger` is built from for a logger entry.
+ * Two entries resolving to the same options produce identical loggers.
+ *
+ * @param {Object} loggerConfig - The logger entry from the configuration.
+ * @param {Object} commonConfig - The `common` section of the configuration.
+ * @returns {{category: string, redactFields: string[], redactPatterns: Array<string|Object>, maskFields: Array<Object>, audit?: Object, level: string, customLevels: Object, rotation: Object, transports: Object, suppression: Object}} - The build options.
+ */
+const getLoggerBuildOptions = (loggerConfig, commonConfig) => {
+  const {
+    category,
+    redactFields = [],
+    redactPatterns = [],
+    maskFields = [],
+    audit,
+  } = loggerConfig;
+  const { suppression: commonSuppression } = commonConfig || {};
+  const { suppression } = loggerConfig;
+  return {
+    category,
+    redactFields: [...(commonConfig?.redactFields || []), ...redactFields],
+    // The logger's detectors and mask fields override common ones of the same name or path
+    redactPatterns: [
+      ...(commonConfig?.redactPatterns || []),
+      ...redactPatterns,
+    ],
+    maskFields: [...(commonConfig?.maskFields || []), ...maskFields],
+    audit,
+    level: getConfiguredLevel(loggerConfig, commonConfig),
+    customLevels: commonConfig?.customLevels || {},
+    // The logger's rotation options override the common ones key by key
+    rotation: { ...commonConfig?.rotation, ...loggerConfig.rotation },
+    transports: resolveTransports(loggerConfig, commonConfig),
+    // The logger's rules are matched before the common ones
+    suppression: {
+      summaryIntervalSeconds:
+        suppression?.summaryIntervalSeconds ??
+        commonSuppression?.summaryIntervalSeconds,
+      rules: [
+        ...(suppression?.rules || []),
+        ...(commonSuppression?.rules || []),
+      ],
+    },
+  };
+};
+
+/**
+ * Returns the hash chain of a category, recovering its head from the
+ * category files on first use. A rebuilt logger may write other files, the
+ * chain then seals the levels they receive.
+ *
+ * @param {string} category - The logger category (e.g., "authentication").
+ * @param {Array<{folder: string, name: string, minLevel: number, maxLevel?: number}>} files - The files of the category, as described by `getLogFiles`.
+ * @param {Map<string, ReturnType<typeof createAuditChain>>} auditChains - The chains of the registry, by category.
+ * @returns {ReturnType<typeof createAuditChain>}
+ */
+const getAuditChain = (category, files, auditChains) => {
+  const chainFiles = files.map((file) => ({
+    ...file,
+    folder: path.resolve(LOGS_ROOT, file.folder),
+  }));
+  if (auditChains.has(category)) {
+    auditChains.get(category).setFiles(chainFiles);
+  } else {
+    auditChains.set(category, createAuditChain({ files: chainFiles }));
+  }
+  return auditChains.get(category);
+};
+
+/**
+ * Period between two signed checkpoints when the logger configures none.
+ */
+const DEFAULT_CHECKPOINT_INTERVAL_SECONDS = 3600;
+
+/**
+ * Periodically writes a checkpoint signing the head of the audit chain, so
+ * rewriting the chain past a checkpoint needs the signing key. No checkpoint
+ * is written while the chain does not move.
+ *
+ * @param {pino.Logger} logger - The original Pino logger instance.
+ * @param {ReturnType<typeof createAuditChain>} auditChain - The chain of the logger category.
+ * @param {{checkpointIntervalSeconds?: number, signingKeyFile: string}} audit - The logger `audit` section.
+ * @returns {() => void} - Stops the checkpoints.
+ * @throws {Error} - If the signing key cannot be loaded.
+ */
+const startAuditCheckpoints = (
+  logger,
+  auditChain,
+  {
+    checkpointIntervalSeconds = DEFAULT_CHECKPOINT_INTERVAL_SECONDS,
+    signingKeyFile,
+  }
+) => {
+  const signer = loadCheckpointSigner(signingKeyFile);
+  // Checkpoints carry hashes, which must not go through value redaction
+  const checkpointLogger = logger.child(
+    {},
+    { formatters: { log: (entry) => entry } }
+  );
+  let checkpointedSeq = auditChain.getHead().seq;
+
+  const writeCheckpoint = () => {
+    const head = auditChain.getHead();
+    if (head.seq === checkpointedSeq) return;
+    checkpointLogger.info(
+      {
+        code: AUDIT_CHECKPOINT_CODE,
+        context: "audit log checkpoint",
+        checkpoint: {
+          ...head,
+          keyId: signer.keyId,
+          signature: signer.sign(head),
+        },
+      },
+      formatCodeMessage(AUDIT_CHECKPOINT_CODE, { seq: head.seq })
+    );
+    checkpointedSeq = auditChain.getHead().seq;
+  };
+
+  // Checkpoints are not part of the request that happened to build the logger
+  const timer = runOutsideRequestContext(() =>
+    setInterval(writeCheckpoint, checkpointIntervalSeconds * 1000)
+  );
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Creates a wrapped logger for a single logger entry.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "validationLogger").
+ * @param {Object} buildOptions - Options resolved by `getLoggerBuildOptions`.
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @returns {pino.Logger} - The wrapped logger instance.
+ */
+const buildLogger = (
+  loggerKey,
+  {
+    category,
+    redactFields,
+    redactPatterns,
+    maskFields,
+    audit,
+    level,
+    customLevels,
+    rotation,
+    transports,
+    suppression,
+  },
+  state
+) => {
+  const redactor = createValueRedactor({
+    redactPatterns,
+    maskFields,
+    errorKey: "error",
+  });
+  const auditChain = audit
+    ? getAuditChain(
+        category,
+        getLogFiles(
+          loggerKey,
+          category,
+          transports,
+          getLevelValues(customLevels)
+        ),
+        state.auditChains
+      )
+    : null;
+  const logger = createLogger(
+    loggerKey,
+    category,
+    redactFields,
+    level,
+    customLevels,
+    rotation,
+    transports,
+    redactor,
+    auditChain,
+    state.createDestination?.(loggerKey, category, getLevelValues(customLevels))
+  );
+  let stopAuditCheckpoints;
+  if (audit?.signingKeyFile) {
+    try {
+      stopAuditCheckpoints = startAuditCheckpoints(logger, auditChain, audit);
+    } catch (error) {
+      closeLogger(logger, state);
+      throw error;
+    }
+  }
+  const wrappedLogger = wrapLogger(
+    logger,
+    loggerKey,
+    state,
+    suppression,
+    redactor
+  );
+  if (stopAuditCheckpoints) {
+    onLoggerClose(state, wrappedLogger, stopAuditCheckpoints);
+  }
+  return wrappedLogger;
+};
+
+/**
+ * Flushes and ends the transport of a logger that is no longer in use.
+ * Child loggers share the transport stream of their parent.
+ *
+ * @param {pino.Logger} logger - The logger whose transport should be closed.
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @returns {Promise<void>} - Resolves once the transport worker has exited.
+ */
+const closeLogger = (logger, state) =>
+  new Promise((resolve) => {
+    if (state.fallbackLoggers.has(logger)) return resolve(); // Writes to stdout
+    state.closeHandlers.get(logger)?.forEach((handler) => handler());
+    const stream = logger?.[pino.symbols.streamSym];
+    if (!stream?.end || stream.closed) return resolve();
+    // Transport workers do not keep the process alive, hold it until they exit
+    const keepAlive = setInterval(() => {}, 1000);
+    stream.once?.("close", () => {
+      clearInterval(keepAlive);
+      resolve();
+    });
+    try {
+      stream.flushSync?.();
+      stream.end();
+    } catch (error) {
+      console.error("Error closing logger transport:", error);
+      clearInterval(keepAlive);
+      resolve();
+    }
+  });
+
+/**
+ * Failure handling modes of `createLoggerRegistry`:
+ * - "throw": the error is thrown to the caller.
+ * - "exit": the error is reported and the process exits with code 1.
+ * - "console": the error is reported and every logger falls back to a plain
+ *   console logger, without validation, files or alerting.
+ */
+const REGISTRY_FAILURE_MODES = ["throw", "exit", "console"];
+
+/**
+ * Creates the console logger used in place of a logger that failed to build.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "systemLogger").
+ * @param {Object} [customLevels={}] - Valid custom levels, kept so their methods can still be called.
+ * @param {RegistryState} state - The state of the registry owning the logger.
+ * @returns {pino.Logger} - The console logger, with the `logCode` helper of wrapped loggers.
+ */
+const createFallbackLogger = (loggerKey, customLevels = {}, state) => {
+  const logger = pino({
+    level: "info",
+    customLevels: getCustomLevelValues(customLevels),
+    errorKey: "error",
+    serializers: { error: serializeError },
+    base: { logger: loggerKey },
+  });
+  logger.logCode = (code, metadata = {}, msg) => {
+    const definition = getLogCode(code);
+    return logger[definition?.level || "info"](
+      { context: definition?.context, ...metadata, code },
+      msg ?? formatCodeMessage(code, metadata.params)
+    );
+  };
+  state.fallbackLoggers.add(logger);
+  return logger;
+};
+
+/**
+ * Creates a registry of the loggers of a configuration. Nothing happens at
+ * import time: the loggers are built by this call, and the configuration file
+ * is only watched when `configPath` is passed.
+ *
+ * @param {Object} config - The logger configuration, shaped like `loggers.json`.
+ * @param {Object} [options]
+ * @param {"throw"|"exit"|"console"} [options.onError="throw"] - What happens when the loggers cannot be built.
+ * @param {string} [options.configPath] - Configuration file to watch and hot reload.
+ * @param {(loggerKey: string, category: string, levelValues: Object<string, number>) => {write: (line: string) => void}} [options.createDestination] - Creates the stream of each logger, replacing the file and console targets (e.g., an in-memory capture in tests).
+ * @returns {{
+ *   loggers: {[key: string]: pino.Logger},
+ *   logsCategory: {[key: string]: string},
+ *   get: (loggerKey: string) => pino.Logger|undefined,
+ *   forCategory: (category: string) => pino.Logger|undefined,
+ *   reload: (config: Object) => {added: string[], updated: string[], removed: string[]},
+ *   onReload: (listener: (changes: {added: string[], updated: string[], removed: string[]}) => void) => () => void,
+ *   metrics: ReturnType<typeof createMetrics>,
+ *   close: () => Promise<void>,
+ *   getConfig: () => Object|null,
+ *   getLevelValues: () => Object<string, number>,
+ *   getLogFiles: (category: string) => Array<{transport: string, folder: string, name: string, minLevel: number, maxLevel?: number}>,
+ *   getLoggerConfiguredLevel: (loggerKey: string) => string|undefined,
+ *   getLoggerCategory: (loggerKey: string) => string|undefined,
+ *   getRedactFields: (category: string) => string[],
+ * }} - The registry.
+ * @throws {Error} - If the loggers cannot be built and `onError` is "throw".
+ */
+const createLoggerRegistry = (
+  config,
+  { onError = "throw", configPath, createDestination } = {}
+) => {
+  if (!REGISTRY_FAILURE_MODES.includes(onError)) {
+    throw new Error(`Invalid onError mode "${onError}".`);
+  }
+
+  /**
+   * Live loggers of the registry. The object identity is kept stable so
+   * holders of the object observe hot reloads.
+   */
+  const loggers = {};
+
+  /**
+   * Categories of the configuration by `toCategoryKey` (e.g.,
+   * `logsCategory.BILLING` for "billing"), kept stable like `loggers`.
+   */
+  const logsCategory = {};
+
+  /**
+   * Key of the first logger configured for each category.
+   * @type {Map<string, string>}
+   */
+  let categoryLoggerKeys = new Map();
+
+  /**
+   * Unknown categories already warned about since the last reload.
+   */
+  const warnedCategories = new Set();
+
+  /** @type {RegistryState} */
+  const state = {
+    config: null,
+    alertManager: null,
+    createDestination,
+    metrics: createMetrics(),
+    fieldDefinitions: new WeakMap(),
+    auditChains: new Map(),
+    closeHandlers: new WeakMap(),
+    fallbackLoggers: new WeakSet(),
+  };
+
+  let watcher = null;
+  let fallbackLogger;
+
+  /**
+   * Listeners notified of the loggers each reload added, rebuilt or removed.
+   * @type {Set<(changes: {added: string[], updated: string[], removed: string[]}) => void>}
+   */
+  const reloadListeners = new Set();
+
+  /**
+   * (Re)creates the alert manager when the `alerting` section or the custom
+   * levels its rules may use changed. Alerts pending in the previous manager
+   * are still delivered.
+   */
+  const applyAlerting = (nextConfig, previousConfig) => {
+    const { alerting, common } = nextConfig;
+    if (
+      state.alertManager &&
+      JSON.stringify([alerting, common?.customLevels]) ===
+        JSON.stringify([
+          previousConfig?.alerting,
+          previousConfig?.common?.customLevels,
+        ])
+    ) {
+      return;
+    }
+    state.alertManager?.stop();
+    state.alertManager = createAlertManager(alerting, {
+      levelValues: getLevelValues(common?.customLevels),
+      onDeliveryFailure: (error, attempts) =>
+        loggers.systemLogger?.warn(
+          {
+            code: "ALERT_DELIVERY_FAILED",
+            context: "webhook alerting",
+            reason: error?.message || "unknown error",
+            attempts,
+          },
+          `Alert delivery failed after ${attempts} attempts, batch written to the dead-letter file`
+        ),
+    });
+  };
+
+  /**
+   * Indexes the categories of the loggers configuration.
+   */
+  const indexCategories = (loggersConfig) => {
+    categoryLoggerKeys = new Map();
+    Object.entries(loggersConfig).forEach(([loggerKey, { category }]) => {
+      if (!categoryLoggerKeys.has(category)) {
+        categoryLoggerKeys.set(category, loggerKey);
+      }
+    });
+    Object.keys(logsCategory).forEach((key) => delete logsCategory[key]);
+    categoryLoggerKeys.forEach((_loggerKey, category) => {
+      logsCategory[toCategoryKey(category)] = category;
+    });
+    warnedCategories.clear();
+  };
+
+  /**
+   * Returns the logger of the entries of an unknown category, and warns once
+   * per category that it is used.
+   */
+  const resolveUnknownCategory = (category) => {
+    const fallbackKey =
+      state.config?.common?.fallbackLogger ?? DEFAULT_FALLBACK_LOGGER;
+    const logger = registry.get(fallbackKey);
+    if (!state.config || warnedCategories.has(category)) return logger;
+
+    warnedCategories.add(category);
+    try {
+      if (!logger) throw new Error("no fallback logger is configured");
+      logger.warn({
+        code: "LOG_CATEGORY_UNKNOWN",
+        context: "log category resolution",
+        reason: `unknown category "${category}"`,
+        params: { category, fallbackLogger: fallbackKey },
+      });
+    } catch (error) {
+      console.warn(
+        `Entries of the unknown log category "${category}" cannot be redirected:`,
+        error.message
+      );
+    }
+    return logger;
+  };
+
+  /**
+   * Applies a new logger configuration to the live `loggers` object.
+   * Only loggers whose build options changed are recreated; removed loggers
+   * are dropped. All new
+   * loggers are built before any is swapped in, so a failure leaves the
+   * previous configuration fully active.
+   */
+  const reload = (nextConfig) => {
+    const { loggers: loggersConfig, common: commonConfig } =
+      validateLoggerConfig(nextConfig);
+    const {
+      loggers: previousLoggersConfig = {},
+      common: previousCommonConfig,
+    } = state.config || {};
+
+    const changes = { added: [], updated: [], removed: [] };
+    const nextLoggers = {};
+
+    try {
+      Object.entries(loggersConfig).forEach(([loggerKey, loggerConfig]) => {
+        const buildOptions = getLoggerBuildOptions(loggerConfig, commonConfig);
+        const previousLoggerConfig = previousLoggersConfig[loggerKey];
+        if (!loggers[loggerKey] || !previousLoggerConfig) {
+          changes.added.push(loggerKey);
+        } else if (
+          JSON.stringify(buildOptions) !==
+          JSON.stringify(
+            getLoggerBuildOptions(previousLoggerConfig, previousCommonConfig)
+          )
+        ) {
+          changes.updated.push(loggerKey);
+        } else {
+          return; // Unchanged logger, keep the live instance
+        }
+        nextLoggers[loggerKey] = buildLogger(loggerKey, buildOptions, state);
+      });
+    } catch (error) {
+      Object.values(nextLoggers).forEach((logger) =>
+        closeLogger(logger, state)
+      );
+      throw error;
+    }
+
+    changes.removed = Object.keys(loggers).filter(
+      (loggerKey) => !(loggerKey in loggersConfig)
+    );
+
+    // Swap synchronously so no caller observes a half-applied configuration
+    const retiredLoggers = [
+      ...changes.updated.map((loggerKey) => loggers[loggerKey]),
+      ...changes.removed.map((loggerKey) => loggers[loggerKey]),
+    ];
+    changes.removed.forEach((loggerKey) => delete loggers[loggerKey]);
+    Object.assign(loggers, nextLoggers);
+    indexCategories(loggersConfig);
+    applyAlerting(nextConfig, state.config);
+    state.config = nextConfig;
+    state.metrics.configure(nextConfig.common?.metrics);
+
+    retiredLoggers.forEach((logger) => closeLogger(logger, state));
+    reloadListeners.forEach((listener) => {
+      try {
+        listener(changes);
+      } catch (error) {
+        console.error("Error in logger reload listener:", error);
+      }
+    });
+    return changes;
+  };
+
+  /**
+   * Reads, validates and applies the configuration file.
+   * An invalid edit is rejected with a warning and the previous configuration
+   * stays active.
+   */
+  const reloadConfigFile = () => {
+    try {
+      const changes = reload(JSON.parse(fs.readFileSync(configPath, "utf8")));
+      loggers.systemLogger?.info(
+        {
+          code: "LOGGER_CONFIG_RELOADED",
+          context: "logger config reload",
+          changes,
+        },
+        "Logger configuration reloaded"
+      );
+    } catch (error) {
+      loggers.systemLogger?.warn(
+        {
+          code: "LOGGER_CONFIG_RELOAD_REJECTED",
+          context: "logger config reload",
+          reason: error.message,
+        },
+        "Invalid logger configuration rejected, keeping the previous configuration"
+      );
+    }
+  };
+
+  /**
+   * Watches the configuration file and hot reloads the loggers on change.
+   * The directory is watched (instead of the file) so editors that save by
+   * replacing the file keep triggering reloads.
+   */
+  const watchConfigFile = () => {
+    let reloadTimer = null;
+    try {
+      watcher = fs.watch(path.dirname(configPath), (_eventType, filename) => {
+        if (filename && filename !== path.basename(configPath)) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reloadConfigFile, CONFIG_RELOAD_DEBOUNCE_MS);
+      });
+      watcher.unref(); // Watching must not keep the process alive
+    } catch (error) {
+      console.warn("Logger configuration hot reload is unavailable:", error);
+    }
+  };
+
+  /**
+   * Returns the category the configuration assigns to a logger key.
+   */
+  const getLoggerCategory = (loggerKey) =>
+    state.config?.loggers?.[loggerKey]?.category;
+
+  const registry = {
+    loggers,
+    logsCategory,
+
+    /**
+     * Returns the logger of a key; any key gets the console logger after an
+     * initialization failure in "console" mode.
+     */
+    get: (loggerKey) =>
+      Object.hasOwn(loggers, loggerKey) ? loggers[loggerKey] : fallbackLogger,
+
+    /**
+     * Returns the first logger configured for a category. Unknown categories
+     * get the fallback logger (`common.fallbackLogger`, "systemLogger" by
+     * default) and a warning, instead of silently logging nothing.
+     */
+    forCategory: (category) =>
+      categoryLoggerKeys.has(category)
+        ? registry.get(categoryLoggerKeys.get(category))
+        : resolveUnknownCategory(category),
+
+    reload,
+
+    /**
+     * Registers a listener notified after each reload, e.g. to re-apply the
+     * runtime state of the loggers it rebuilt.
+     * @returns {() => void} - Unregisters the listener.
+     */
+    onReload: (listener) => {
+      reloadListeners.add(listener);
+      return () => reloadListeners.delete(listener);
+    },
+
+    /**
+     * Metrics of the log entries, which the application's HTTP middlewares
+     * record their requests and errors into.
+     */
+    metrics: state.metrics,
+
+    /**
+     * Stops watching, delivers pending alerts and flushes and ends the
+     * transports of every logger. The loggers must not be used afterwards.
+     */
+    close: async () => {
+      watcher?.close();
+      await state.alertManager?.stop(); // Deliver pending alerts first
+      await Promise.all(
+        Object.values(loggers).map((logger) => closeLogger(logger, state))
+      );
+    },
+
+    getConfig: () => state.config,
+
+    /**
+     * Returns the values of the levels in effect, custom ones included.
+     */
+    getLevelValues: () => getLevelValues(state.config?.common?.customLevels),
+
+    /**
+     * Describes the files the configuration writes for a category, with the
+     * range of levels each of them receives.
+     */
+    getLogFiles: (category) =>
+      state.config ? getCategoryLogFiles(state.config, category) : [],
+
+    /**
+     * Returns the level the configuration sets for a logger key, ignoring any
+     * runtime override.
+     */
+    getLoggerConfiguredLevel: (loggerKey) => {
+      const loggerConfig = state.config?.loggers?.[loggerKey];
+      return loggerConfig
+        ? getConfiguredLevel(loggerConfig, state.config.common)
+        : undefined;
+    },
+
+    getLoggerCategory,
+
+    /**
+     * Returns the `redactFields` of the logger a category is written to, the
+     * common ones included.
+     */
+    getRedactFields: (category) => {
+      if (!state.config) return [];
+      const loggerKey =
+        categoryLoggerKeys.get(category) ??
+        state.config.common?.fallbackLogger ??
+        DEFAULT_FALLBACK_LOGGER;
+      const loggerConfig = state.config.loggers?.[loggerKey];
+      return loggerConfig
+        ? getLoggerBuildOptions(loggerConfig, state.config.common).redactFields
+        : [...(state.config.common?.redactFields || [])];
+    },
+  };
+
+  try {
+    if (!Object.keys(config?.loggers || {}).length) {
+      console.log(
+        "Loggers are not initiated as there is no loggers configuration"
+      );
+    }
+    reload(config);
+    if (configPath) watchConfigFile();
+  } catch (error) {
+    if (onError === "throw") throw error;
+    console.error("Failed to initialize loggers:", error);
+    if (onError === "exit") process.exit(1);
+
+    console.error("Falling back to console loggers.");
+    let customLevels;
+    try {
+      validateCustomLevelsConfig(config?.common?.customLevels);
+      customLevels = config?.common?.customLevels;
+    } catch {
+      // Invalid custom levels have no methods on the console loggers
+    }
+    fallbackLogger = createFallbackLogger("default", customLevels, state);
+    Object.keys(config?.loggers || {}).forEach((loggerKey) => {
+      loggers[loggerKey] = createFallbackLogger(loggerKey, customLevels, state);
+    });
+  }
+
+  return registry;
+};
+
+export {
+  REGISTRY_FAILURE_MODES,
+  createLoggerRegistry,
+  validateLoggerConfig,
+  isValidLevel,
+};
@@ -0,0 +1,285 @@
+/**
+ * Default upper bounds (in seconds) of the request latency histogram.
+ */
+const DEFAULT_LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Default number of distinct `code` label values tracked; further codes are
+ * reported as "other" to keep the label cardinality bounded.
+ */
+const DEFAULT_MAX_CODE_LABELS = 100;
+
+const OTHER_CODE_LABEL = "other";
+const NO_CODE_LABEL = "none";
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+/**
+ * Renders a label set, e.g. `{logger="authLogger",level="info"}`.
+ *
+ * @param {string[]} labelNames
+ * @param {Array<*>} labelValues
+ * @returns {string}
+ */
+const renderLabels = (labelNames, labelValues) =>
+  labelNames.length
+    ? `{${labelNames
+        .map(
+          (name, index) => `${name}="${escapeLabelValue(labelValues[index])}"`
+        )
+        .join(",")}}`
+    : "";
+
+/**
+ * Creates a counter metric.
+ *
+ * @param {string} name - Metric name.
+ * @param {string} help - Metric description.
+ * @param {string[]} labelNames - Label names, in rendering order.
+ * @returns {{inc: (labels: Object, value?: number) => void, render: () => string}}
+ */
+const createCounter = (name, help, labelNames) => {
+  const values = new Map();
+  return {
+    inc: (labels, value = 1) => {
+      const key = JSON.stringify(labelNames.map((label) => labels[label]));
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    render: () =>
+      [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...values].map(
+          ([key, value]) =>
+            `${name}${renderLabels(labelNames, JSON.parse(key))} ${value}`
+        ),
+      ].join("\n"),
+  };
+};
+
+/**
+ * Creates a histogram metric whose buckets follow the metrics settings.
+ * Changing the buckets resets the recorded observations.
+ *
+ * @param {string} name - Metric name.
+ * @param {string} help - Metric description.
+ * @param {string[]} labelNames - Label names, in rendering order.
+ * @param {{latencyBuckets: number[]}} settings - The live metrics settings.
+ * @returns {{observe: (labels: Object, value: number) => void, render: () => string, reset: () => void}}
+ */
+const createHistogram = (name, help, labelNames, settings) => {
+  const series = new Map();
+  return {
+    observe: (labels, value) => {
+      const key = JSON.stringify(labelNames.map((label) => labels[label]));
+      const { latencyBuckets } = settings;
+      const entry = series.get(key) || {
+        buckets: latencyBuckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      latencyBuckets.forEach((bound, index) => {
+        if (value <= bound) entry.buckets[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render: () =>
+      [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...[...series].flatMap(([key, { buckets, sum, count }]) => {
+          const labelValues = JSON.parse(key);
+          return [
+            ...settings.latencyBuckets.map(
+              (bound, index) =>
+                `${name}_bucket${renderLabels(
+                  [...labelNames, "le"],
+                  [...labelValues, bound]
+                )} ${buckets[index]}`
+            ),
+            `${name}_bucket${renderLabels(
+              [...labelNames, "le"],
+              [...labelValues, "+Inf"]
+            )} ${count}`,
+            `${name}_sum${renderLabels(labelNames, labelValues)} ${sum}`,
+            `${name}_count${renderLabels(labelNames, labelValues)} ${count}`,
+          ];
+        }),
+      ].join("\n"),
+    reset: () => series.clear(),
+  };
+};
+
+/**
+ * Validates the `common.metrics` section of `loggers.json`.
+ *
+ * @param {Object|undefined} metrics - The metrics configuration.
+ * @throws {Error} - If an option is invalid.
+ */
+const validateMetricsConfig = (metrics) => {
+  if (metrics === undefined) return;
+  if (!metrics || typeof metrics !== "object") {
+    throw new Error("Invalid common.metrics configuration.");
+  }
+  const { maxCodeLabels, latencyBuckets } = metrics;
+  if (
+    maxCodeLabels !== undefined &&
+    !(Number.isInteger(maxCodeLabels) && maxCodeLabels >= 0)
+  ) {
+    throw new Error(
+      "common.metrics.maxCodeLabels must be a non-negative integer."
+    );
+  }
+  if (
+    latencyBuckets !== undefined &&
+    (!Array.isArray(latencyBuckets) ||
+      !latencyBuckets.length ||
+      latencyBuckets.some(
+        (bound, index) =>
+          !(bound > 0) || (index > 0 && bound <= latencyBuckets[index - 1])
+      ))
+  ) {
+    throw new Error(
+      "common.metrics.latencyBuckets must be increasing positive numbers."
+    );
+  }
+};
+
+/**
+ * Creates the metrics of a logger registry: its log entries, and the HTTP
+ * requests and errors of the application it serves.
+ *
+ * @returns {{
+ *   configure: (metrics?: Object) => void,
+ *   recordLogEntry: (labels: {logger: string, category: string, level: string, code: *}) => void,
+ *   recordSuppressedLogEntry: (labels: {logger: string, category: string, level: string, code: *}) => void,
+ *   recordValidationFailure: (labels: {logger: string, level: string}) => void,
+ *   recordHttpError: (status: number) => void,
+ *   recordRequestDuration: (labels: {method: string, route: string, status: number}, durationSeconds: number) => void,
+ *   render: () => string,
+ * }} - The metrics.
+ */
+const createMetrics = () => {
+  const settings = {
+    maxCodeLabels: DEFAULT_MAX_CODE_LABELS,
+    latencyBuckets: DEFAULT_LATENCY_BUCKETS,
+  };
+  const trackedCodes = new Set();
+
+  const logEntriesTotal = createCounter(
+    "log_entries_total",
+    "Log entries written, by logger, category, level and code.",
+    ["logger", "category", "level", "code"]
+  );
+  const logEntriesSuppressedTotal = createCounter(
+    "log_entries_suppressed_total",
+    "Log entries dropped by sampling or duplicate suppression.",
+    ["logger", "category", "level", "code"]
+  );
+  const logValidationFailuresTotal = createCounter(
+    "log_validation_failures_total",
+    "Log calls rejected by required field validation.",
+    ["logger", "level"]
+  );
+  const httpErrorsTotal = createCounter(
+    "http_errors_total",
+    "Errors handled by the error handler, by HTTP status.",
+    ["status"]
+  );
+  const httpRequestDuration = createHistogram(
+    "http_request_duration_seconds",
+    "HTTP request latency in seconds.",
+    ["method", "route", "status"],
+    settings
+  );
+
+  const registry = [
+    logEntriesTotal,
+    logEntriesSuppressedTotal,
+    logValidationFailuresTotal,
+    httpErrorsTotal,
+    httpRequestDuration,
+  ];
+
+  /**
+   * Maps a code to a bounded label value: the first `maxCodeLabels` distinct
+   * codes are kept, later ones are reported as "other".
+   */
+  const getCodeLabel = (code) => {
+    if (code === undefined || code === null) return NO_CODE_LABEL;
+    const label = String(code);
+    if (trackedCodes.has(label)) return label;
+    if (trackedCodes.size >= settings.maxCodeLabels) return OTHER_CODE_LABEL;
+    trackedCodes.add(label);
+    return label;
+  };
+
+  return {
+    /**
+     * Applies the `common.metrics` section of `loggers.json`.
+     */
+    configure: (metrics = {}) => {
+      const {
+        maxCodeLabels = DEFAULT_MAX_CODE_LABELS,
+        latencyBuckets = DEFAULT_LATENCY_BUCKETS,
+      } = metrics;
+      if (
+        JSON.stringify(latencyBuckets) !==
+        JSON.stringify(settings.latencyBuckets)
+      ) {
+        httpRequestDuration.reset();
+      }
+      settings.maxCodeLabels = maxCodeLabels;
+      settings.latencyBuckets = latencyBuckets;
+    },
+
+    /**
+     * Counts a log entry written by a wrapped logger.
+     */
+    recordLogEntry: ({ code, ...labels }) =>
+      logEntriesTotal.inc({ ...labels, code: getCodeLabel(code) }),
+
+    /**
+     * Counts a log entry dropped by sampling or duplicate suppression.
+     */
+    recordSuppressedLogEntry: ({ code, ...labels }) =>
+      logEntriesSuppressedTotal.inc({ ...labels, code: getCodeLabel(code) }),
+
+    /**
+     * Counts a log call rejected by required field validation.
+     */
+    recordValidationFailure: (labels) => logValidationFailuresTotal.inc(labels),
+
+    /**
+     * Counts an error handled by the error handler.
+     */
+    recordHttpError: (status) => httpErrorsTotal.inc({ status }),
+
+    /**
+     * Records the latency of a completed HTTP request.
+     */
+    recordRequestDuration: (labels, durationSeconds) =>
+      httpRequestDuration.observe(labels, durationSeconds),
+
+    /**
+     * Renders every metric in the Prometheus text exposition format.
+     */
+    render: () => `${registry.map((metric) => metric.render()).join("\n")}\n`,
+  };
+};
+
+export { validateMetricsConfig, createMetrics };
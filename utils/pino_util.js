@@ -1,275 +1,118 @@
-import pino from "pino";
+import { fileURLToPath } from "node:url";
 import Loggers from "../config/loggers.json" assert { type: "json" };
+import { createLoggerRegistry, isValidLevel } from "./logger_registry_util.js";
+import { LOGS_ROOT } from "./log_files_util.js";
+import { takeDefaultRegistryOptions } from "./default_registry_util.js";
 
 /**
- * Enum-like object for Log Categories
+ * Path of the `loggers.json` configuration watched for hot reload.
  */
-
-const logsCategory = {
-  SYSTEM: "system",
-  AUTHENTICATION: "authentication",
-  VALIDATION: "validation",
-  USAGE: "usage",
-};
+const LOGGER_CONFIG_PATH = fileURLToPath(
+  new URL("../config/loggers.json", import.meta.url)
+);
 
 /**
- * Validates metadata passed to the logger wrapper before logging.
- * Ensures the metadata contains required fields as per the schema.
- *
- * @param {string} loggerKey - The logger key (e.g., "validationLogger").
- * @param {string} method - The log method being used (e.g., "info", "warn", "error").
- * @param {Object} schema - The logger schema from the configuration.
- * @param {Object} metadata - Metadata object to validate.
- * @throws {Error} - If required fields are missing.
+ * Default logger registry of the application, built from `loggers.json`.
+ * The process exits when the configuration cannot be applied at startup.
+ * Options set with `setDefaultRegistryOptions` replace the file transports
+ * and hot reload (e.g., to capture the entries in tests).
+ * Other applications create their own registry, with `createLoggerRegistry`.
  */
-const validateFields = (loggerKey, method, schema, metadata) => {
-  try {
-    const loggerConfig = schema?.loggers?.[loggerKey];
-    const commonFields = schema?.common?.requiredFields?.[method] || [];
-    const customFields = loggerConfig?.customRequiredFields?.[method] || [];
-
-    // Merge common and custom fields (custom overrides common if specified)
-    const requiredFields = [...new Set([...commonFields, ...customFields])];
-    if (!metadata || typeof metadata !== "object") {
-      if (requiredFields.length > 0) {
-        throw new Error(
-          `Missing required metadata for ${loggerKey}.${method}. Required fields: ${requiredFields.join(
-            ", "
-          )}`
-        );
-      }
-    } else {
-      const missingFields = requiredFields.filter(
-        (field) => !(field in metadata)
-      );
-      if (missingFields.length > 0) {
-        throw new Error(
-          `Missing required fields for ${loggerKey}.${method}: ${missingFields.join(
-            ", "
-          )}`
-        );
-      }
-    }
-  } catch (error) {
-    console.log("Error while validating fields", error);
-    throw error;
+const loggerRegistry = createLoggerRegistry(
+  Loggers,
+  takeDefaultRegistryOptions() ?? {
+    configPath: LOGGER_CONFIG_PATH,
+    onError: "exit",
   }
-};
+);
 
 /**
- * Wraps a Pino logger method with validation logic.
- * Validates metadata against schema before calling the original logger method.
- *
- * @param {Function} originalMethod - The original logger method (info, warn, error, etc.).
- * @param {string} loggerKey - The logger key (e.g., "validationLogger").
- * @param {string} method - The log method being wrapped (e.g., "info", "warn").
- * @returns {Function} - The wrapped logger method.
+ * Initializes and exports the loggers and the categories of `loggers.json`.
+ * Provides a centralized logging utility for different application contexts.
+ * The object identities are kept stable so importers observe hot reloads.
  */
-const wrapLoggerMethod = (originalMethod, loggerKey, method) => {
-  return (metadata, msg, ...args) => {
-    validateFields(loggerKey, method, Loggers, metadata); // Validate metadata
-    return originalMethod(metadata, msg, ...args); // Call the original method
-  };
-};
+const { loggers, logsCategory } = loggerRegistry;
 
 /**
- * Wraps all methods of a logger instance with validation logic.
+ * Applies a new logger configuration to the live `loggers` object.
  *
- * @param {pino.Logger} logger - The original Pino logger instance.
- * @param {string} loggerKey - The logger key (e.g., "validationLogger").
- * @returns {pino.Logger} - The wrapped logger instance.
+ * @param {Object} config - The new logger configuration object.
+ * @returns {{added: string[], updated: string[], removed: string[]}} - Keys affected by the reload.
+ * @throws {Error} - If the configuration is invalid or a logger fails to build.
  */
-const wrapLogger = (logger, loggerKey) => {
-  const wrappedLogger = logger.child({}); // Clone the logger instance for isolation
-  const methods = ["info", "warn", "error", "debug", "fatal", "trace"];
-
-  methods.forEach((method) => {
-    wrappedLogger[method] = wrapLoggerMethod(
-      logger[method].bind(logger),
-      loggerKey,
-      method
-    );
-  });
-
-  return wrappedLogger;
-};
+const reloadLoggers = (config) => loggerRegistry.reload(config);
 
 /**
- * Validates the logger configuration schema.
+ * Flushes and ends the transports of every live logger.
+ * Used on shutdown; the loggers must not be used afterwards.
  *
- * @param {Object} config - The logger configuration object.
- * @returns {Object} - The validated configuration.
- * @throws {Error} - If the configuration is invalid.
+ * @returns {Promise<void>} - Resolves once every transport worker has exited.
  */
-const validateLoggerConfig = (config) => {
-  if (!config || typeof config !== "object" || Array.isArray(config)) {
-    throw new Error("Invalid or missing `loggers.json` configuration.");
-  }
-  // Ensure all keys and values are valid
-  Object.entries(config.loggers).forEach(([key, value]) => {
-    if (
-      typeof key !== "string" ||
-      typeof value !== "object" ||
-      !value.category
-    ) {
-      throw new Error(`Invalid logger configuration for "${key}".`);
-    }
-  });
-
-  return config;
-};
+const closeLoggers = () => loggerRegistry.close();
 
 /**
- * Generates transport configurations for logging to files and console,
- * Generated files are date based.
- * @param {string} category - The logger category (e.g., "Validation").
- * @returns {Array} - Array of transport targets for Pino.
+ * Returns the level `loggers.json` configures for a logger key, ignoring any
+ * runtime override.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @returns {string|undefined} - The configured level, or undefined for unknown keys.
  */
-const createTransportConfig = (category) => {
-  const date = new Date().toISOString().split("T")[0]; // Format: YYYY-MM-DD
-  return [
-    {
-      target: "pino-pretty",
-      options: {
-        colorize: true,
-        translateTime: "SYS:standard", // Formats time as `YYYY-MM-DD HH:mm:ss`
-      },
-    },
-    {
-      target: "pino/file",
-      level: "error",
-      options: {
-        destination: `./logs/${category}/errors/error-${date}.log`,
-        mkdir: true,
-      },
-      worker: {
-        autoEnd: true, // Enables auto-closing of the worker when the process ends
-      },
-    },
-    {
-      target: "pino/file",
-      level: "warn",
-      options: {
-        destination: `./logs/${category}/warnings/warn-${date}.log`,
-        mkdir: true,
-      },
-      worker: {
-        autoEnd: true, // Enables auto-closing of the worker when the process ends
-      },
-    },
-    {
-      target: "pino/file",
-      level: "info",
-      options: {
-        destination: `./logs/${category}/info/info-${date}.log`,
-        mkdir: true,
-      },
-      worker: {
-        autoEnd: true, // Enables auto-closing of the worker when the process ends
-      },
-    },
-  ];
-};
+const getLoggerConfiguredLevel = (loggerKey) =>
+  loggerRegistry.getLoggerConfiguredLevel(loggerKey);
 
 /**
- * Creates a Pino logger instance for a given logger key and category.
+ * Returns the category `loggers.json` configures for a logger key.
  *
- * @param {string} loggerKey - The logger key (e.g., "validationLogger").
- * @param {string} category - The logger category (e.g., "Validation").
- * @param {string[]} redactFields - Fields to redact in the logs.
- * @returns {pino.Logger} - The created Pino logger instance.
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @returns {string|undefined} - The category, or undefined for unknown keys.
  */
-const createLogger = (loggerKey, loggerCategory, redactFields = []) => {
-  try {
-    const options = {
-      level: "debug", // Logs messages up to the "debug" level
-      customLevels: {}, // Add custom levels here if needed
-      timestamp: () => `,"time":"${new Date().toLocaleString()}"`, //local machine date
-      errorKey: "error", // The string key for the 'error' in the JSON object.
-
-      // Inject a "type" field based on the log level
-      mixin(_context, level) {
-        return { type: pino.levels.labels[level]?.toUpperCase() };
-      },
-      // Merge strategy to ensure flat logging structure
-      mixinMergeStrategy(mergeObject, mixinObject) {
-        return { ...mergeObject, ...mixinObject };
-      },
-
-      // Redact sensitive fields
-      redact: {
-        paths: redactFields,
-        censor: "[Redacted]", // Replace sensitive fields with this value
-      },
-
-      // Transport configurations
-      transport: {
-        targets: createTransportConfig(loggerCategory),
-      },
-    };
-    return pino(options);
-  } catch (error) {
-    console.error(`Error creating logger for key "${loggerKey}":`, error);
-    throw new Error(`Failed to create logger for "${loggerKey}".`);
-  }
-};
+const getLoggerCategory = (loggerKey) =>
+  loggerRegistry.getLoggerCategory(loggerKey);
 
 /**
- * Dynamically generates loggers based on the `loggers.json` configuration.
+ * Returns the values of the levels currently in effect, including the custom
+ * levels of `loggers.json`.
  *
- * @returns {{[key: string]: pino.Logger}} - Object containing logger instances.
+ * @returns {Object<string, number>}
  */
-const generateLoggers = () => {
-  try {
-    const config = validateLoggerConfig(Loggers);
-    const { loggers: loggersConfig, common: commonConfig } = config;
-
-    return Object.entries(loggersConfig).reduce(
-      (acc, [loggerKey, loggerConfig]) => {
-        if (!loggerKey || !loggerConfig || !loggerConfig?.category) {
-          console.warn(
-            `Skipping invalid logger configuration: ${loggerKey} -> ${loggerConfig}`
-          );
-          return acc; // Skip invalid logger configuration
-        } else {
-          const { category, redactFields = [] } = loggerConfig;
-          const logger = createLogger(loggerKey, category, [
-            ...(commonConfig?.redactFields || []),
-            ...redactFields,
-          ]);
-          acc[loggerKey] = wrapLogger(logger, loggerKey);
-        }
-        return acc;
-      },
-      {}
-    );
-  } catch (error) {
-    console.error("Error generating loggers:", error);
-    throw new Error("Failed to generate loggers.");
-  }
-};
+const getLevelValues = () => loggerRegistry.getLevelValues();
 
 /**
- * Initializes and exports the loggers.
- * Provides a centralized logging utility for different application contexts.
+ * Returns the files currently written for a category, with the range of
+ * levels each of them receives. Folders are relative to `LOGS_ROOT`.
+ *
+ * @param {string} category - The category (e.g., "authentication").
+ * @returns {Array<{transport: string, folder: string, name: string, minLevel: number, maxLevel?: number}>}
  */
-let loggers = {};
+const getLogFiles = (category) => loggerRegistry.getLogFiles(category);
 
-try {
-  if (!Object.keys(Loggers).length)
-    console.log(
-      "Loggers are not initiated as there is no loggers configuration in logger.json"
-    );
-  loggers = generateLoggers();
-} catch (error) {
-  // console.error(
-  //   "Failed to initialize loggers. Falling back to default console logger."
-  // );
-  // const fallbackLogger = pino({ level: "info" });
-  // loggers = { default: fallbackLogger };
-
-  console.error("Failed to initialize loggers:", error);
-  process.exit(1); // Terminate the process if loggers fail to initialize
-}
+/**
+ * Returns the `accessLog` section currently in effect.
+ *
+ * @returns {Object|undefined}
+ */
+const getAccessLogConfig = () => loggerRegistry.getConfig()?.accessLog;
 
-export { loggers, logsCategory };
+/**
+ * Returns the `errorLevels` section currently in effect.
+ *
+ * @returns {Object|undefined}
+ */
+const getErrorLevelsConfig = () => loggerRegistry.getConfig()?.errorLevels;
+
+export {
+  loggers,
+  loggerRegistry,
+  logsCategory,
+  LOGS_ROOT,
+  createLoggerRegistry,
+  reloadLoggers,
+  closeLoggers,
+  isValidLevel,
+  getLoggerConfiguredLevel,
+  getLoggerCategory,
+  getLevelValues,
+  getLogFiles,
+  getAccessLogConfig,
+  getErrorLevelsConfig,
+};
@@ -0,0 +1,147 @@
+import { STATUS_CODES } from "node:http";
+import { AxiosError } from "axios";
+import { ApiError, CustomError, getErrorDefinition } from "./error_util.js";
+
+/**
+ * Media type of RFC 7807 error responses.
+ */
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+/**
+ * Base of the problem type URIs, relative to the API unless configured.
+ */
+const PROBLEM_TYPE_BASE = process.env.PROBLEM_TYPE_BASE_URI || "/problems/";
+
+/**
+ * Public problem types of the errors that are not registered error types
+ * (those declare theirs with `defineErrorType`). The title and detail are
+ * safe to show to any client; the error's own message only goes to the logs.
+ */
+const PROBLEM_TYPES = [
+  {
+    errorClass: CustomError,
+    type: "resource-unavailable",
+    title: "Resource unavailable",
+    detail: "A server resource is busy or unavailable.",
+  },
+  {
+    errorClass: AxiosError,
+    type: "upstream-error",
+    title: "Upstream service error",
+    detail: "A request to a dependent service failed.",
+  },
+];
+
+const UNEXPECTED_ERROR_DETAIL = "An unexpected error occurred.";
+
+/**
+ * Checks whether the message of an error may be shown to the client.
+ * `ApiError` messages of client errors (4xx) are written for the caller;
+ * other errors opt in with the `expose` flag (as set by `http-errors`).
+ *
+ * @param {Error} error
+ * @param {number} status - The response status.
+ * @returns {boolean}
+ */
+const isExposed = (error, status) =>
+  error?.expose ?? (error instanceof ApiError && status < 500);
+
+/**
+ * Builds the RFC 7807 problem details of an error response.
+ *
+ * @param {Error} error - The handled error.
+ * @param {object} details
+ * @param {number} details.status - The response status.
+ * @param {string} [details.instance] - The request path the problem occurred on.
+ * @param {string} [details.requestId] - The request correlation id.
+ * @returns {object} - The problem details object.
+ */
+const buildProblem = (error, { status, instance, requestId }) => {
+  const problemType =
+    getErrorDefinition(error)?.problem ??
+    PROBLEM_TYPES.find(({ errorClass }) => error instanceof errorClass);
+  const exposed = isExposed(error, status);
+
+  return {
+    type: problemType
+      ? `${PROBLEM_TYPE_BASE}${problemType.type}`
+      : "about:blank",
+    title: problemType?.title ?? STATUS_CODES[status] ?? "Error",
+    status,
+    detail:
+      (exposed && error.message) ||
+      problemType?.detail ||
+      UNEXPECTED_ERROR_DETAIL,
+    instance,
+    ...(error instanceof ApiError && error.code && { code: error.code }),
+    requestId,
+    ...(exposed && error.data != null && { data: error.data }),
+    ...(process.env.NODE_ENV === "development" && { stack: error?.stack }),
+  };
+};
+
+/**
+ * Escapes text for an HTML document.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+/**
+ * Renders problem details as plain text, for clients asking for `text/plain`.
+ *
+ * @param {object} problem
+ * @returns {string}
+ */
+const renderProblemText = (problem) =>
+  [
+    `${problem.status} ${problem.title}`,
+    problem.detail,
+    problem.code && `Code: ${problem.code}`,
+    problem.requestId && `Request id: ${problem.requestId}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Renders problem details as an HTML page, for clients asking for `text/html`.
+ *
+ * @param {object} problem
+ * @returns {string}
+ */
+const renderProblemHtml = (problem) =>
+  `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(
+    `${problem.status} ${problem.title}`
+  )}</title></head>
+<body>
+<h1>${escapeHtml(problem.title)}</h1>
+<p>${escapeHtml(problem.detail)}</p>
+${
+  problem.code ? `<p>Code: <code>${escapeHtml(problem.code)}</code></p>\n` : ""
+}${
+    problem.requestId
+      ? `<p>Request id: <code>${escapeHtml(problem.requestId)}</code></p>\n`
+      : ""
+  }</body>
+</html>`;
+
+export {
+  PROBLEM_CONTENT_TYPE,
+  buildProblem,
+  renderProblemText,
+  renderProblemHtml,
+};
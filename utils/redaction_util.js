@@ -0,0 +1,418 @@
+import crypto from "node:crypto";
+import { serializeError } from "./error_serializer_util.js";
+
+/**
+ * Replacement of censored values, shared with the path based `redactFields`.
+ */
+const REDACTED_CENSOR = "[Redacted]";
+
+/**
+ * Query parameters whose values are censored in the logged URLs.
+ */
+const SENSITIVE_QUERY_PARAM_PATTERN =
+  /token|key|secret|password|passwd|signature|sig|auth|session/i;
+
+/**
+ * Ways a sensitive value can be masked:
+ * - censor: replaced with "[Redacted]"
+ * - partial: all but the last `visible` characters masked (e.g., "****1234")
+ * - hash: replaced with a deterministic hash, so entries can still be joined on it
+ * - drop: the whole field is removed from the entry
+ */
+const REDACTION_STRATEGIES = ["censor", "partial", "hash", "drop"];
+
+/**
+ * Characters left in clear by the "partial" strategy.
+ */
+const DEFAULT_VISIBLE_CHARS = 4;
+
+/**
+ * Nesting depth past which values are no longer inspected.
+ */
+const MAX_REDACTION_DEPTH = 10;
+
+/**
+ * Luhn checksum of a card number candidate, used to tell card numbers apart
+ * from other long digit sequences (timestamps, ids).
+ *
+ * @param {string} value - The candidate, possibly with spaces or dashes.
+ * @returns {boolean}
+ */
+const isLuhnValid = (value) => {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Built-in detectors, referenced by name in `redactPatterns`.
+ */
+const BUILT_IN_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    strategy: "censor",
+  },
+  cardNumber: {
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    strategy: "partial",
+    accept: isLuhnValid,
+  },
+  bearerToken: {
+    pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    strategy: "censor",
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+    strategy: "censor",
+  },
+  apiKey: {
+    pattern:
+      /\b(?:(?:sk|pk|rk|api|key)[-_][A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16})\b/g,
+    strategy: "censor",
+  },
+  licenseKey: {
+    pattern: /\b[A-Z0-9]{4,5}(?:-[A-Z0-9]{4,5}){3,4}\b/g,
+    strategy: "partial",
+  },
+};
+
+const PATTERN_KEYS = ["name", "pattern", "flags", "strategy", "visible"];
+const MASK_FIELD_KEYS = ["path", "strategy", "visible"];
+
+/**
+ * Validates the strategy options shared by patterns and mask fields.
+ *
+ * @param {Object} definition - The pattern or mask field definition.
+ * @param {string} location - Where the definition was found, for error messages.
+ * @throws {Error} - If the strategy or its options are invalid.
+ */
+const validateStrategy = ({ strategy, visible }, location) => {
+  if (strategy !== undefined && !REDACTION_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid ${location}.strategy "${strategy}", expected one of: ${REDACTION_STRATEGIES.join(
+        ", "
+      )}`
+    );
+  }
+  if (visible !== undefined && !(Number.isInteger(visible) && visible >= 0)) {
+    throw new Error(`${location}.visible must be a non-negative integer.`);
+  }
+};
+
+/**
+ * Validates the `redactPatterns` and `maskFields` of a `loggers.json` section.
+ *
+ * @param {{redactPatterns?: Array<string|Object>, maskFields?: Array<Object>}} section - The `common` section or a logger entry.
+ * @param {string} location - Where the section was found, for error messages.
+ * @throws {Error} - If a pattern or a mask field is invalid.
+ */
+const validateRedactionConfig = (
+  { redactPatterns, maskFields } = {},
+  location
+) => {
+  if (redactPatterns !== undefined) {
+    if (!Array.isArray(redactPatterns)) {
+      throw new Error(`${location}.redactPatterns must be an array.`);
+    }
+    redactPatterns.forEach((detector, index) => {
+      const patternLocation = `${location}.redactPatterns[${index}]`;
+      if (typeof detector === "string") {
+        if (!Object.hasOwn(BUILT_IN_DETECTORS, detector)) {
+          throw new Error(
+            `Unknown ${patternLocation} detector "${detector}", expected one of: ${Object.keys(
+              BUILT_IN_DETECTORS
+            ).join(", ")}`
+          );
+        }
+        return;
+      }
+      if (!detector || typeof detector !== "object") {
+        throw new Error(`Invalid ${patternLocation} configuration.`);
+      }
+      const unknownKeys = Object.keys(detector).filter(
+        (key) => !PATTERN_KEYS.includes(key)
+      );
+      if (unknownKeys.length) {
+        throw new Error(
+          `Unknown ${patternLocation} options: ${unknownKeys.join(", ")}`
+        );
+      }
+      if (typeof detector.name !== "string" || !detector.name) {
+        throw new Error(`${patternLocation}.name is required.`);
+      }
+      if (detector.pattern === undefined) {
+        if (!Object.hasOwn(BUILT_IN_DETECTORS, detector.name)) {
+          throw new Error(
+            `${patternLocation}.pattern is required for custom detectors.`
+          );
+        }
+      } else {
+        try {
+          new RegExp(detector.pattern, detector.flags);
+        } catch (error) {
+          throw new Error(
+            `Invalid ${patternLocation}.pattern: ${error.message}`
+          );
+        }
+      }
+      validateStrategy(detector, patternLocation);
+    });
+  }
+  if (maskFields !== undefined) {
+    if (!Array.isArray(maskFields)) {
+      throw new Error(`${location}.maskFields must be an array.`);
+    }
+    maskFields.forEach((field, index) => {
+      const fieldLocation = `${location}.maskFields[${index}]`;
+      if (!field || typeof field !== "object") {
+        throw new Error(`Invalid ${fieldLocation} configuration.`);
+      }
+      const unknownKeys = Object.keys(field).filter(
+        (key) => !MASK_FIELD_KEYS.includes(key)
+      );
+      if (unknownKeys.length) {
+        throw new Error(
+          `Unknown ${fieldLocation} options: ${unknownKeys.join(", ")}`
+        );
+      }
+      if (typeof field.path !== "string" || !field.path) {
+        throw new Error(`${fieldLocation}.path is required.`);
+      }
+      if (field.strategy === undefined) {
+        throw new Error(`${fieldLocation}.strategy is required.`);
+      }
+      validateStrategy(field, fieldLocation);
+    });
+  }
+};
+
+/**
+ * Hashes a value for the "hash" strategy. With `LOG_REDACTION_HASH_KEY` set
+ * the hash is keyed, so values cannot be recovered by hashing guesses.
+ *
+ * @param {string} value
+ * @returns {string} - E.g., "sha256:3f2a9c0d51e7b864".
+ */
+const hashValue = (value) => {
+  const key = process.env.LOG_REDACTION_HASH_KEY;
+  const hash = key
+    ? crypto.createHmac("sha256", key)
+    : crypto.createHash("sha256");
+  return `sha256:${hash.update(value).digest("hex").slice(0, 16)}`;
+};
+
+/**
+ * Masks all but the last `visible` characters of a value. Values too short
+ * to hide at least as much as they show are masked entirely.
+ *
+ * @param {string} value
+ * @param {number} visible
+ * @returns {string} - E.g., "****1234".
+ */
+const maskValue = (value, visible) => {
+  const clear =
+    visible > 0 && value.length >= visible * 2 ? value.slice(-visible) : "";
+  return `${"*".repeat(Math.max(value.length - clear.length, 4))}${clear}`;
+};
+
+/**
+ * Applies a strategy to a value.
+ *
+ * @param {*} value - The sensitive value.
+ * @param {{strategy: string, visible?: number}} definition
+ * @returns {*} - The masked value, undefined when the strategy is "drop".
+ */
+const applyStrategy = (
+  value,
+  { strategy, visible = DEFAULT_VISIBLE_CHARS }
+) => {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  switch (strategy) {
+    case "drop":
+      return undefined;
+    case "hash":
+      return hashValue(String(text));
+    case "partial":
+      return maskValue(String(text), visible);
+    default:
+      return REDACTED_CENSOR;
+  }
+};
+
+/**
+ * Resolves the detectors of a `redactPatterns` list. A later detector with
+ * the same name replaces an earlier one, so loggers can override common
+ * detectors.
+ *
+ * @param {Array<string|Object>} redactPatterns
+ * @returns {Array<{name: string, pattern: RegExp, strategy: string, visible?: number, accept?: Function}>}
+ */
+const compileDetectors = (redactPatterns) => {
+  const detectors = new Map();
+  redactPatterns.forEach((detector) => {
+    const { name, ...options } =
+      typeof detector === "string" ? { name: detector } : detector;
+    const builtIn = BUILT_IN_DETECTORS[name];
+    const pattern =
+      options.pattern !== undefined
+        ? new RegExp(
+            options.pattern,
+            [...new Set([...(options.flags ?? ""), "g"])].join("")
+          )
+        : builtIn.pattern;
+    detectors.set(name, {
+      name,
+      accept: options.pattern === undefined ? builtIn?.accept : undefined,
+      strategy: options.strategy ?? builtIn?.strategy ?? "censor",
+      visible: options.visible,
+      pattern,
+    });
+  });
+  return [...detectors.values()];
+};
+
+/**
+ * Creates the value redactor of a logger. Mask fields are applied by path
+ * first, then every string value left is scanned by the detectors. The
+ * caller's objects are never modified.
+ *
+ * @param {Object} options
+ * @param {Array<string|Object>} [options.redactPatterns=[]] - Detector names or custom detectors.
+ * @param {Array<{path: string, strategy: string, visible?: number}>} [options.maskFields=[]] - Strategies applied to fields, `*` matches any key.
+ * @param {string} [options.errorKey] - Entry key pino serializes as an error; it is serialized before being scanned.
+ * @returns {{redactEntry: (entry: Object) => Object, redactString: (value: string) => string|undefined}|null} - Null when nothing is configured.
+ */
+const createValueRedactor = ({
+  redactPatterns = [],
+  maskFields = [],
+  errorKey,
+} = {}) => {
+  if (!redactPatterns.length && !maskFields.length) return null;
+
+  const detectors = compileDetectors(redactPatterns);
+  const fields = [
+    // A later definition of the same path replaces an earlier one
+    ...new Map(maskFields.map((field) => [field.path, field])).values(),
+  ].map((field) => ({ ...field, segments: field.path.split(".") }));
+
+  /**
+   * Runs the detectors over a string.
+   *
+   * @param {string} value
+   * @returns {string|undefined} - The redacted string, undefined when a "drop" detector matched.
+   */
+  const redactString = (value) => {
+    let result = value;
+    for (const detector of detectors) {
+      let dropped = false;
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.accept && !detector.accept(match)) return match;
+        if (detector.strategy === "drop") dropped = true;
+        return applyStrategy(match, detector);
+      });
+      if (dropped) return undefined;
+    }
+    return result;
+  };
+
+  /**
+   * Copies a value, scanning its strings. Errors are serialized first so
+   * their message and stack are scanned too.
+   */
+  const redactValue = (value, depth, seen) => {
+    if (typeof value === "string") return redactString(value);
+    if (!value || typeof value !== "object" || depth > MAX_REDACTION_DEPTH) {
+      return value;
+    }
+    if (value instanceof Error) {
+      return redactValue(serializeError(value), depth, seen);
+    }
+    const isArray = Array.isArray(value);
+    const isPlainObject = Object.getPrototypeOf(value) === Object.prototype;
+    if ((!isArray && !isPlainObject) || seen.has(value)) return value;
+
+    seen.add(value);
+    const copy = isArray ? [] : {};
+    Object.entries(value).forEach(([key, child]) => {
+      const redacted = redactValue(child, depth + 1, seen);
+      if (redacted !== undefined || child === undefined) copy[key] = redacted;
+    });
+    seen.delete(value);
+    return copy;
+  };
+
+  /**
+   * Applies a mask field to an entry copy, copying the objects on its path.
+   */
+  const maskField = (target, segments, field) => {
+    const [segment, ...rest] = segments;
+    const keys =
+      segment === "*"
+        ? Object.keys(target)
+        : Object.hasOwn(target, segment)
+        ? [segment]
+        : [];
+    keys.forEach((key) => {
+      if (!rest.length) {
+        const masked = applyStrategy(target[key], field);
+        if (masked === undefined) delete target[key];
+        else target[key] = masked;
+        return;
+      }
+      const child = target[key];
+      if (!child || typeof child !== "object") return;
+      target[key] = Array.isArray(child) ? [...child] : { ...child };
+      maskField(target[key], rest, field);
+    });
+  };
+
+  /**
+   * Redacts a log entry.
+   *
+   * @param {Object} entry - The merged log object, before serialization.
+   * @returns {Object} - A redacted copy of the entry.
+   */
+  const redactEntry = (entry) => {
+    const masked = { ...entry };
+    if (errorKey && masked[errorKey] && typeof masked[errorKey] === "object") {
+      masked[errorKey] = serializeError(masked[errorKey]);
+    }
+    fields.forEach((field) => maskField(masked, field.segments, field));
+    return detectors.length ? redactValue(masked, 0, new WeakSet()) : masked;
+  };
+
+  return { redactEntry, redactString };
+};
+
+/**
+ * Removes the credentials and censors the sensitive query parameters of a URL.
+ *
+ * @param {string} uri - An absolute URL, or a path when the client has no base URL.
+ * @returns {string}
+ */
+const sanitizeUrl = (uri) => {
+  const isAbsolute = /^[a-z][a-z\d+.-]*:\/\//i.test(uri);
+  const url = new URL(uri, "http://relative.invalid");
+  url.username = "";
+  url.password = "";
+  [...new Set(url.searchParams.keys())]
+    .filter((name) => SENSITIVE_QUERY_PARAM_PATTERN.test(name))
+    .forEach((name) => url.searchParams.set(name, REDACTED_CENSOR));
+  return isAbsolute ? url.toString() : `${url.pathname}${url.search}`;
+};
+
+export {
+  REDACTED_CENSOR,
+  REDACTION_STRATEGIES,
+  validateRedactionConfig,
+  createValueRedactor,
+  sanitizeUrl,
+};
@@ -0,0 +1,73 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Header used to accept and echo the request correlation id.
+ */
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+/**
+ * Incoming ids are only accepted when they are short, printable tokens,
+ * so a client cannot inject arbitrary content into every log entry.
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Resolves the correlation id for a request.
+ * Reuses a valid incoming `X-Request-Id` header, otherwise generates a new UUID.
+ *
+ * @param {string|string[]|undefined} incomingId - Value of the incoming header.
+ * @returns {string} - The request id to use.
+ */
+const resolveRequestId = (incomingId) => {
+  const candidate = Array.isArray(incomingId) ? incomingId[0] : incomingId;
+  return typeof candidate === "string" && REQUEST_ID_PATTERN.test(candidate)
+    ? candidate
+    : randomUUID();
+};
+
+/**
+ * Runs a function inside a request context.
+ * Every log entry emitted while `fn` (and its async continuations) runs
+ * will carry the context fields.
+ *
+ * @param {{requestId: string, method?: string, path?: string}} context - Request context fields.
+ * @param {Function} fn - Function to run within the context.
+ * @returns {*} - The return value of `fn`.
+ */
+const runWithRequestContext = (context, fn) =>
+  requestContextStorage.run(context, fn);
+
+/**
+ * Runs a function outside of any request context, e.g. to schedule
+ * background work that must not be attributed to the current request.
+ *
+ * @param {Function} fn - Function to run without a context.
+ * @returns {*} - The return value of `fn`.
+ */
+const runOutsideRequestContext = (fn) => requestContextStorage.exit(fn);
+
+/**
+ * Returns the context of the request currently being handled, if any.
+ *
+ * @returns {{requestId: string, method?: string, path?: string}|undefined}
+ */
+const getRequestContext = () => requestContextStorage.getStore();
+
+/**
+ * Returns the correlation id of the request currently being handled, if any.
+ *
+ * @returns {string|undefined}
+ */
+const getRequestId = () => getRequestContext()?.requestId;
+
+export {
+  REQUEST_ID_HEADER,
+  resolveRequestId,
+  runWithRequestContext,
+  runOutsideRequestContext,
+  getRequestContext,
+  getRequestId,
+};
@@ -0,0 +1,36 @@
+/**
+ * Route label readers of the requests being tracked.
+ * @type {WeakMap<import("express").Request, () => string>}
+ */
+const routeLabels = new WeakMap();
+
+/**
+ * Starts remembering the route pattern matched by a request.
+ * Express restores `req.baseUrl` when an error leaves a router, so the mount
+ * path is captured at the moment the route is assigned. Middlewares share
+ * one tracker per request, as each would otherwise replace the `req.route`
+ * property of the others.
+ *
+ * @param {import("express").Request} req
+ * @returns {() => string} - Returns the route label (e.g. "/admin/loggers/:key/level")
+ */
+const trackRouteLabel = (req) => {
+  if (routeLabels.has(req)) return routeLabels.get(req);
+
+  let routeLabel = "unmatched";
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (matchedRoute) => {
+      route = matchedRoute;
+      if (matchedRoute?.path) routeLabel = `${req.baseUrl}${matchedRoute.path}`;
+    },
+  });
+  const getRouteLabel = () => routeLabel;
+  routeLabels.set(req, getRouteLabel);
+  return getRouteLabel;
+};
+
+export { trackRouteLabel };
@@ -0,0 +1,345 @@
+import { getLevelValues, normalizeCustomLevels } from "./custom_level_util.js";
+
+/**
+ * Targets a transport can write to:
+ * - "pretty": colorized lines on the console, through pino-pretty.
+ * - "file": NDJSON files under the logs root, rotated and retained.
+ */
+const TRANSPORT_TARGETS = ["pretty", "file"];
+
+const TRANSPORT_KEYS = [
+  "target",
+  "enabled",
+  "level",
+  "minLevel",
+  "maxLevel",
+  "path",
+  "destination",
+];
+
+/**
+ * Keys filtering the levels a transport receives. A logger overriding one of
+ * them replaces the whole filter of the common transport.
+ */
+const LEVEL_FILTER_KEYS = ["level", "minLevel", "maxLevel"];
+
+/**
+ * Console streams of the "pretty" target, by name.
+ */
+const PRETTY_DESTINATIONS = { stdout: 1, stderr: 2 };
+
+/**
+ * Placeholders of the `path` templates, replaced by the logger's values.
+ */
+const PATH_PLACEHOLDERS = ["category", "logger"];
+
+/**
+ * File paths, relative to the logs root: the last segment is the base name
+ * of the files (e.g., "authentication/info/info" for `info.log`).
+ */
+const LOG_PATH_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+/**
+ * Returns the transports of a configuration without a `common.transports`
+ * section: the console, following the level of each logger, an error file
+ * holding every error and fatal entry, and one file per other level from info
+ * up, custom levels included.
+ *
+ * @param {Object} [customLevels] - The `common.customLevels` section.
+ * @returns {Object<string, Object>} - Transport definitions by name.
+ */
+const getDefaultTransports = (customLevels) => ({
+  console: { target: "pretty" },
+  errorFile: {
+    target: "file",
+    path: "{category}/errors/error",
+    minLevel: "error",
+  },
+  warnFile: { target: "file", path: "{category}/warnings/warn", level: "warn" },
+  infoFile: { target: "file", path: "{category}/info/info", level: "info" },
+  ...Object.fromEntries(
+    normalizeCustomLevels(customLevels).map(({ name }) => [
+      `${name}File`,
+      { target: "file", path: `{category}/${name}/${name}`, level: name },
+    ])
+  ),
+});
+
+/**
+ * Replaces the placeholders of a `path` template.
+ *
+ * @param {string} template - The template (e.g., "{category}/info/info").
+ * @param {{category: string, logger: string}} values
+ * @returns {string}
+ */
+const formatLogPath = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_match, key) => values[key]);
+
+/**
+ * Validates a `transports` section. Definitions may be partial, as a logger
+ * only overrides some options of the common transport of the same name.
+ *
+ * @param {Object|undefined} transports - Transport definitions by name.
+ * @param {string} location - Where the section was found, for error messages.
+ * @param {Object<string, number>} levelValues - The levels of the configuration, custom ones included.
+ * @throws {Error} - If a definition is invalid or its target unknown.
+ */
+const validateTransportsConfig = (transports, location, levelValues) => {
+  if (transports === undefined) return;
+  if (
+    !transports ||
+    typeof transports !== "object" ||
+    Array.isArray(transports)
+  ) {
+    throw new Error(`Invalid ${location} configuration.`);
+  }
+  Object.entries(transports).forEach(([name, definition]) => {
+    const transportLocation = `${location}.${name}`;
+    if (
+      !definition ||
+      typeof definition !== "object" ||
+      Array.isArray(definition)
+    ) {
+      throw new Error(`Invalid ${transportLocation} configuration.`);
+    }
+    const unknownKeys = Object.keys(definition).filter(
+      (key) => !TRANSPORT_KEYS.includes(key)
+    );
+    if (unknownKeys.length) {
+      throw new Error(
+        `Unknown ${transportLocation} options: ${unknownKeys.join(", ")}`
+      );
+    }
+    const { target, enabled, level, minLevel, maxLevel, destination } =
+      definition;
+    if (target !== undefined && !TRANSPORT_TARGETS.includes(target)) {
+      throw new Error(
+        `Unknown ${transportLocation}.target "${target}", expected one of: ${TRANSPORT_TARGETS.join(
+          ", "
+        )}.`
+      );
+    }
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      throw new Error(`${transportLocation}.enabled must be a boolean.`);
+    }
+    Object.entries({ level, minLevel, maxLevel }).forEach(([key, value]) => {
+      if (value !== undefined && !Object.hasOwn(levelValues, value)) {
+        throw new Error(`Invalid ${transportLocation}.${key} "${value}".`);
+      }
+    });
+    if (level !== undefined && (minLevel ?? maxLevel) !== undefined) {
+      throw new Error(
+        `${transportLocation}.level cannot be combined with minLevel or maxLevel.`
+      );
+    }
+    if (
+      minLevel !== undefined &&
+      maxLevel !== undefined &&
+      levelValues[minLevel] > levelValues[maxLevel]
+    ) {
+      throw new Error(
+        `${transportLocation}.minLevel "${minLevel}" is above maxLevel "${maxLevel}".`
+      );
+    }
+    if (definition.path !== undefined) {
+      const placeholders = [...String(definition.path).matchAll(/\{(\w+)\}/g)]
+        .map(([, key]) => key)
+        .filter((key) => !PATH_PLACEHOLDERS.includes(key));
+      if (placeholders.length) {
+        throw new Error(
+          `Unknown ${transportLocation}.path placeholders: ${placeholders.join(
+            ", "
+          )}`
+        );
+      }
+      if (
+        typeof definition.path !== "string" ||
+        !LOG_PATH_PATTERN.test(
+          formatLogPath(definition.path, { category: "x", logger: "x" })
+        )
+      ) {
+        throw new Error(
+          `Invalid ${transportLocation}.path "${definition.path}", expected a relative path of letters, digits, "_" or "-".`
+        );
+      }
+    }
+    if (
+      destination !== undefined &&
+      !Object.hasOwn(PRETTY_DESTINATIONS, destination)
+    ) {
+      throw new Error(
+        `Invalid ${transportLocation}.destination "${destination}", expected one of: ${Object.keys(
+          PRETTY_DESTINATIONS
+        ).join(", ")}.`
+      );
+    }
+  });
+};
+
+/**
+ * Merges a logger's transport definition over the common one.
+ *
+ * @param {Object} [common={}] - The common definition.
+ * @param {Object} [own={}] - The logger's definition.
+ * @returns {Object}
+ */
+const mergeTransport = (common = {}, own = {}) => {
+  const ownFilter = LEVEL_FILTER_KEYS.some((key) => own[key] !== undefined);
+  return {
+    ...Object.fromEntries(
+      Object.entries(common).filter(
+        ([key]) => !(ownFilter && LEVEL_FILTER_KEYS.includes(key))
+      )
+    ),
+    ...own,
+  };
+};
+
+/**
+ * Resolves the enabled transports of a logger entry. The logger's
+ * definitions override the common ones of the same name key by key, its
+ * level filter replacing the common one, and may add transports of its own.
+ *
+ * @param {Object} loggerConfig - The logger entry from the configuration.
+ * @param {Object} commonConfig - The `common` section of the configuration.
+ * @returns {Object<string, Object>} - Transport definitions by name.
+ */
+const resolveTransports = (loggerConfig, commonConfig) => {
+  const common =
+    commonConfig?.transports ??
+    getDefaultTransports(commonConfig?.customLevels);
+  const own = loggerConfig?.transports || {};
+  return Object.fromEntries(
+    [...new Set([...Object.keys(common), ...Object.keys(own)])]
+      .map((name) => [name, mergeTransport(common[name], own[name])])
+      .filter(([, transport]) => transport.enabled !== false)
+  );
+};
+
+/**
+ * Validates the resolved transports of a logger, which must be complete.
+ *
+ * @param {Object<string, Object>} transports - Resolved by `resolveTransports`.
+ * @param {string} loggerKey - The logger key, for error messages.
+ * @throws {Error} - If a transport misses its target or path, or the logger has none.
+ */
+const validateResolvedTransports = (transports, loggerKey) => {
+  if (!Object.keys(transports).length) {
+    throw new Error(`Logger "${loggerKey}" has no enabled transport.`);
+  }
+  Object.entries(transports).forEach(
+    ([name, { target, path, destination }]) => {
+      if (!target) {
+        throw new Error(
+          `Transport "${name}" of logger "${loggerKey}" has no target.`
+        );
+      }
+      if (target === "file" && !path) {
+        throw new Error(
+          `File transport "${name}" of logger "${loggerKey}" has no path.`
+        );
+      }
+      if (target !== "pretty" && destination !== undefined) {
+        throw new Error(
+          `Transport "${name}" of logger "${loggerKey}": destination is only supported by "pretty" targets, file targets use a path.`
+        );
+      }
+    }
+  );
+};
+
+/**
+ * Returns the range of level values a transport receives.
+ *
+ * @param {Object} transport - A resolved transport definition.
+ * @param {Object<string, number>} levelValues - The levels of the configuration.
+ * @returns {{minLevel: number, maxLevel?: number}} - Without `maxLevel` when unbounded.
+ */
+const getTransportLevelRange = ({ level, minLevel, maxLevel }, levelValues) => {
+  if (level !== undefined) {
+    return { minLevel: levelValues[level], maxLevel: levelValues[level] };
+  }
+  return {
+    minLevel: minLevel === undefined ? 0 : levelValues[minLevel],
+    ...(maxLevel !== undefined && { maxLevel: levelValues[maxLevel] }),
+  };
+};
+
+/**
+ * Describes the files a logger writes.
+ *
+ * @param {string} loggerKey - The logger key (e.g., "authLogger").
+ * @param {string} category - The logger category (e.g., "authentication").
+ * @param {Object<string, Object>} transports - Resolved by `resolveTransports`.
+ * @param {Object<string, number>} levelValues - The levels of the configuration.
+ * @returns {Array<{transport: string, folder: string, name: string, minLevel: number, maxLevel?: number}>} - Folders are relative to the logs root.
+ */
+const getLogFiles = (loggerKey, category, transports, levelValues) =>
+  Object.entries(transports)
+    .filter(([, transport]) => transport.target === "file")
+    .map(([name, transport]) => {
+      const [fileName, ...folder] = formatLogPath(transport.path, {
+        category,
+        logger: loggerKey,
+      })
+        .split("/")
+        .reverse();
+      return {
+        transport: name,
+        folder: folder.reverse().join("/"),
+        name: fileName,
+        ...getTransportLevelRange(transport, levelValues),
+      };
+    });
+
+/**
+ * Describes the files written for a category by the loggers of a
+ * configuration. A file written by several loggers spans the levels each of
+ * them writes to it.
+ *
+ * @param {Object} config - The logger configuration, shaped like `loggers.json`.
+ * @param {string} category - The category (e.g., "authentication").
+ * @returns {Array<{transport: string, folder: string, name: string, minLevel: number, maxLevel?: number}>} - Folders are relative to the logs root.
+ */
+const getCategoryLogFiles = (config, category) => {
+  const levelValues = getLevelValues(config?.common?.customLevels);
+  const files = new Map();
+  Object.entries(config?.loggers || {})
+    .filter(([, loggerConfig]) => loggerConfig.category === category)
+    .forEach(([loggerKey, loggerConfig]) =>
+      getLogFiles(
+        loggerKey,
+        category,
+        resolveTransports(loggerConfig, config.common),
+        levelValues
+      ).forEach((file) => {
+        const id = `${file.folder}/${file.name}`;
+        const known = files.get(id);
+        files.set(
+          id,
+          known
+            ? {
+                ...known,
+                minLevel: Math.min(known.minLevel, file.minLevel),
+                maxLevel:
+                  known.maxLevel === undefined || file.maxLevel === undefined
+                    ? undefined
+                    : Math.max(known.maxLevel, file.maxLevel),
+              }
+            : file
+        );
+      })
+    );
+  return [...files.values()];
+};
+
+export {
+  TRANSPORT_TARGETS,
+  PRETTY_DESTINATIONS,
+  validateTransportsConfig,
+  resolveTransports,
+  validateResolvedTransports,
+  getTransportLevelRange,
+  getLogFiles,
+  getCategoryLogFiles,
+};
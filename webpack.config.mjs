@@ -6,7 +6,14 @@ import obfuscatorOptions from "./obfuscator.json" assert { type: "json" };
 
 const config = {
   mode: "production",
-  entry: "./index.js",
+  entry: {
+    main: "./index.js",
+    // Pino transport loaded by the logger workers, exposed as a CommonJS module
+    "rotating-file-transport": {
+      import: "./helper/rotating_file_transport.js",
+      library: { type: "commonjs2", export: "default" },
+    },
+  },
   output: {
     path: path.resolve("./dist"),
     filename: "[name].js",